@@ -0,0 +1,259 @@
+/*
+ Composite is a tile source that combines the layers of the same vector tile from multiple
+ sources into one tile. Layers with the same name coming from different sources are either
+ merged, renamed, or only one of them is kept, depending on the "conflict" parameter.
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const _ = require( 'underscore' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const tileCodec = require( './babel/tileCodec' );
+const uptile = require( 'tilelive-promise' );
+
+let core;
+
+const conflictModes = [ 'rename', 'merge', 'first', 'last' ];
+
+/**
+ * Append all features of the layer to the target layer, re-indexing their tags
+ *
+ * @param {Object} target decoded layer
+ * @param {Object} layer decoded layer
+ */
+function mergeLayer( target, layer ) {
+	if ( ( target.extent || 4096 ) !== ( layer.extent || 4096 ) ) {
+		throw new Err( 'Unable to merge layer %j with a different extent', target.name );
+	}
+	const keyLookup = {};
+	target.keys.forEach( ( key, ind ) => {
+		keyLookup[ key ] = ind;
+	} );
+	const valueLookup = {};
+	target.values.forEach( ( value, ind ) => {
+		valueLookup[ `${value.tag}:${value.value}` ] = ind;
+	} );
+
+	const keyMap = layer.keys.map( ( key ) => {
+		if ( keyLookup[ key ] === undefined ) {
+			keyLookup[ key ] = target.keys.length;
+			target.keys.push( key );
+		}
+		return keyLookup[ key ];
+	} );
+	const valueMap = layer.values.map( ( value ) => {
+		const id = `${value.tag}:${value.value}`;
+		if ( valueLookup[ id ] === undefined ) {
+			valueLookup[ id ] = target.values.length;
+			target.values.push( value );
+		}
+		return valueLookup[ id ];
+	} );
+
+	for ( const feature of layer.features ) {
+		if ( feature.tags ) {
+			feature.tags = feature.tags.map(
+				( v, ind ) => ( ind % 2 === 0 ? keyMap[ v ] : valueMap[ v ] )
+			);
+		}
+		target.features.push( feature );
+	}
+}
+
+function Composite( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		const params = checkType.normalizeUrl( uri ).query;
+		// list of source URIs, usually set as [{ref: sourceId}, ...]
+		checkType( params, 'sources', 'string-array', true );
+		if ( params.sources.length === 0 ) {
+			throw new Err( 'composite:// requires at least one source' );
+		}
+		// optional per-source prefix of all layer names, e.g. ['', 'bnd_']
+		checkType( params, 'prefixes', 'array', [] );
+		if ( params.prefixes.length > params.sources.length ||
+			!_.all( params.prefixes, ( v ) => typeof v === 'string' )
+		) {
+			throw new Err( 'prefixes param must be a list of strings, one per source' );
+		}
+		// rename layers, e.g. {bnd_admin: boundaries}, applied after the prefixes
+		checkType( params, 'rename', 'object', {} );
+		// what to do with the layers of the same name in different sources
+		checkType( params, 'conflict', 'string', 'rename' );
+		if ( !conflictModes.includes( params.conflict ) ) {
+			throw new Err( 'conflict param must be one of %j', conflictModes );
+		}
+		self.params = params;
+		return Promise.map( params.sources, ( src ) => core.loadSource( src ) );
+	} ).then( ( sources ) => {
+		self.sources = sources.map( ( src ) => uptile( src ) );
+		return self;
+	} ).nodeify( callback );
+}
+
+Composite.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+
+	switch ( opts.type ) {
+		case undefined:
+		case 'tile':
+			break;
+		case 'info':
+			return self._getInfoAsync();
+		default:
+			return self.sources[ 0 ].getAsync( opts );
+	}
+
+	return Promise.map( self.sources, ( source ) => source.getAsync( Object.assign( {}, opts ) )
+		.then( ( res ) => core.uncompressAsync( res.data, res.headers ) )
+		.then( ( data ) => ( data && data.length ? tileCodec.decodeTile( data ).layers : [] ) )
+		.catch( ( err ) => {
+			if ( !Err.isNoTileError( err ) ) {
+				throw err;
+			}
+			return [];
+		} )
+	).then( ( layersPerSource ) => {
+		const names = self._getLayerNames(
+			layersPerSource.map( ( layers ) => layers.map( ( layer ) => layer.name ) )
+		);
+		const result = [];
+		const resultByName = {};
+		layersPerSource.forEach( ( layers, srcInd ) => {
+			layers.forEach( ( layer, ind ) => {
+				const name = names[ srcInd ][ ind ];
+				if ( name === null ) {
+					return;
+				}
+				layer.name = name;
+				if ( resultByName[ name ] ) {
+					mergeLayer( resultByName[ name ], layer );
+				} else {
+					resultByName[ name ] = layer;
+					result.push( layer );
+				}
+			} );
+		} );
+		if ( result.length === 0 ) {
+			Err.throwNoTile();
+		}
+		return core.compressPbfAsync( {
+			data: tileCodec.encodeTile( { layers: result } ),
+			headers: { 'Content-Type': 'application/x-protobuf' }
+		} );
+	} );
+} );
+
+/**
+ * Combine the info of all sources, merging their vector_layers the same way as the tile layers
+ *
+ * @return {Promise<Object>}
+ * @private
+ */
+Composite.prototype._getInfoAsync = function _getInfoAsync() {
+	const self = this;
+	return Promise.map( self.sources, ( source ) => source.getAsync( { type: 'info' } ) )
+		.then( ( results ) => {
+			const infos = results.map( ( res ) => res.data || {} );
+			const info = Object.assign( {}, infos[ 0 ] );
+			const minzooms = _.pluck( infos, 'minzoom' ).filter( ( v ) => v !== undefined );
+			const maxzooms = _.pluck( infos, 'maxzoom' ).filter( ( v ) => v !== undefined );
+			if ( minzooms.length ) {
+				info.minzoom = Math.min( ...minzooms );
+			}
+			if ( maxzooms.length ) {
+				info.maxzoom = Math.max( ...maxzooms );
+			}
+			if ( infos.every( ( inf ) => inf.bounds ) ) {
+				info.bounds = [
+					Math.min( ...infos.map( ( inf ) => inf.bounds[ 0 ] ) ),
+					Math.min( ...infos.map( ( inf ) => inf.bounds[ 1 ] ) ),
+					Math.max( ...infos.map( ( inf ) => inf.bounds[ 2 ] ) ),
+					Math.max( ...infos.map( ( inf ) => inf.bounds[ 3 ] ) )
+				];
+			} else {
+				delete info.bounds;
+			}
+
+			const layersPerSource = infos.map( ( inf ) => inf.vector_layers || [] );
+			const names = self._getLayerNames(
+				layersPerSource.map( ( layers ) => _.pluck( layers, 'id' ) )
+			);
+			const vectorLayers = [];
+			const byName = {};
+			layersPerSource.forEach( ( layers, srcInd ) => {
+				layers.forEach( ( layer, ind ) => {
+					const name = names[ srcInd ][ ind ];
+					if ( name === null ) {
+						return;
+					}
+					if ( byName[ name ] ) {
+						const merged = byName[ name ];
+						merged.fields = Object.assign( {}, merged.fields, layer.fields );
+					} else {
+						byName[ name ] = Object.assign( {}, layer, { id: name } );
+						vectorLayers.push( byName[ name ] );
+					}
+				} );
+			} );
+			info.vector_layers = vectorLayers;
+			return { data: info };
+		} );
+};
+
+/**
+ * Get the resulting names of the layers, based on the prefixes, rename map, and conflict mode
+ *
+ * @param {string[][]} namesPerSource original layer names, for each source
+ * @return {Array[]} new layer names, or null for the layers that should be dropped
+ * @private
+ */
+Composite.prototype._getLayerNames = function _getLayerNames( namesPerSource ) {
+	const { prefixes, rename, conflict } = this.params;
+	const used = new Set();
+	const result = [];
+	const order = namesPerSource.map( ( names, ind ) => ind );
+	if ( conflict === 'last' ) {
+		order.reverse();
+	}
+	for ( const srcInd of order ) {
+		const names = namesPerSource[ srcInd ].map( ( name ) => {
+			const newName = ( prefixes[ srcInd ] || '' ) + name;
+			return Object.prototype.hasOwnProperty.call( rename, newName ) ?
+				rename[ newName ] : newName;
+		} );
+		// the renamed layers must not take the names of this source's other layers either
+		const own = new Set( names );
+		result[ srcInd ] = names.map( ( newName ) => {
+			if ( !used.has( newName ) ) {
+				return newName;
+			}
+			switch ( conflict ) {
+				case 'rename': {
+					let suffix = srcInd + 1;
+					let renamed;
+					do {
+						renamed = `${newName}_${suffix++}`;
+					} while ( used.has( renamed ) || own.has( renamed ) );
+					own.add( renamed );
+					return renamed;
+				}
+				case 'merge':
+					return newName;
+				default:
+					return null;
+			}
+		} );
+		result[ srcInd ].forEach( ( name ) => name !== null && used.add( name ) );
+	}
+	return result;
+};
+
+Composite.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'composite:' ] = Composite;
+};
+
+module.exports = Composite;
@@ -371,10 +371,16 @@ core.reportRequestError = function reportRequestError( err, res ) {
 	// TODO: Fix this shadow properly
 	// eslint-disable-next-line no-shadow
 	core.reportError( ( err ) => {
+		const problem = Err.toProblem( err );
+		if ( res.req ) {
+			problem.method = res.req.method;
+			problem.uri = res.req.originalUrl;
+		}
 		res
-			.status( 400 )
+			.status( problem.status )
 			.header( 'Cache-Control', 'public, s-maxage=30, max-age=30' )
-			.json( err.message || 'error/unknown' );
+			.type( 'application/problem+json' )
+			.json( problem );
 		// Any error that has metrics setting does not need to go into the error log
 		core.log( core.areMetricsValid( err.metrics ) ? 'info' : 'error', err );
 		core.metrics.increment( ( core.areMetricsValid( err.metrics ) && err.metrics ) || 'err.unknown' );
@@ -406,12 +412,15 @@ core.getSources = function getSources() {
 };
 
 core.getPublicSource = function getPublicSource( srcId ) {
-	const source = core.getSources().getSourceById( srcId, true );
+	const source = core.getSources().getSourceById( srcId, true, true );
 	if ( !source ) {
-		throw new Err( 'Unknown source' ).metrics( 'err.req.source' );
+		throw new Err( 'Unknown source' ).metrics( 'err.req.source' ).httpStatus( 404 );
 	}
 	if ( !source.public && !core.getConfiguration().allSourcesPublic ) {
-		throw new Err( 'Source is not public' ).metrics( 'err.req.source' );
+		throw new Err( 'Source is not public' ).metrics( 'err.req.source' ).httpStatus( 403 );
+	}
+	if ( source.isDisabled ) {
+		throw Err.unavailable( 'Source is disabled' ).metrics( 'err.req.disabled' );
 	}
 	return source;
 };
@@ -422,8 +431,9 @@ core.getPublicSource = function getPublicSource( srcId ) {
  * @param {Object} res
  * @param {Object} source
  * @param {Object} dataHeaders
+ * @param {boolean} [negotiated] the response format was picked based on the Accept header
  */
-core.setResponseHeaders = function setResponseHeaders( res, source, dataHeaders ) {
+core.setResponseHeaders = function setResponseHeaders( res, source, dataHeaders, negotiated ) {
 	const conf = core.getConfiguration();
 	if ( conf.defaultHeaders ) {
 		res.set( conf.defaultHeaders );
@@ -440,6 +450,11 @@ core.setResponseHeaders = function setResponseHeaders( res, source, dataHeaders
 	if ( source && source.headers ) {
 		res.set( source.headers );
 	}
+	if ( negotiated ) {
+		// appended, so that the configured headers cannot lose it
+		res.vary( 'Accept' );
+	}
 };
 
 core.Sources = require( './sources' );
+core.Deadline = require( './deadline' );
@@ -0,0 +1,90 @@
+'use strict';
+
+const Promise = require( 'bluebird' );
+const Err = require( './err' );
+
+/**
+ * Deadline of a single web request. It expires when the timeout is reached, or when the client
+ * disconnects before the response is sent, so that the long running work can stop early.
+ *
+ * @param {number} [ms] timeout in milliseconds, no timeout if not set
+ * @param {Object} [res] express response object, to watch for the client disconnects
+ * @constructor
+ */
+function Deadline( ms, res ) {
+	this.error = undefined;
+	this._listeners = [];
+
+	if ( ms ) {
+		this._timer = setTimeout( () => this.expire( Err.timeout( ms ) ), ms );
+	}
+	if ( res ) {
+		this._res = res;
+		this._onClose = () => {
+			if ( !res.writableFinished ) {
+				this.expire( new Err( 'Client disconnected' ).metrics( 'err.req.aborted' ) );
+			}
+		};
+		res.on( 'close', this._onClose );
+	}
+}
+
+/**
+ * Expire the deadline with the given error, unless it has already expired
+ *
+ * @param {Error} err
+ */
+Deadline.prototype.expire = function expire( err ) {
+	if ( this.error ) {
+		return;
+	}
+	this.error = err;
+	this.clear();
+	for ( const listener of this._listeners ) {
+		listener( err );
+	}
+	this._listeners = [];
+};
+
+/**
+ * Stop watching the timeout and the client connection. Should be called once the work is done.
+ */
+Deadline.prototype.clear = function clear() {
+	if ( this._timer ) {
+		clearTimeout( this._timer );
+		this._timer = undefined;
+	}
+	if ( this._res ) {
+		this._res.removeListener( 'close', this._onClose );
+		this._res = undefined;
+	}
+};
+
+/**
+ * Throw the expiration error if the deadline has expired
+ */
+Deadline.prototype.check = function check() {
+	if ( this.error ) {
+		throw this.error;
+	}
+};
+
+/**
+ * Wait for the promise, but reject as soon as the deadline expires.
+ * The pending work itself keeps running, unless it checks the deadline.
+ *
+ * @param {Promise|*} promise
+ * @return {Promise}
+ */
+Deadline.prototype.run = function run( promise ) {
+	return new Promise( ( resolve, reject ) => {
+		if ( this.error ) {
+			reject( this.error );
+			return;
+		}
+		this._listeners.push( reject );
+		Promise.resolve( promise ).then( resolve, reject );
+	} );
+};
+
+module.exports = Deadline;
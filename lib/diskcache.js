@@ -0,0 +1,313 @@
+/*
+ DiskCache is a tile storage on the local filesystem, using {dir}/{z}/{x}/{y}.{ext} layout.
+ If a source is given, it works as a read-through cache for it, otherwise it is a plain storage
+ that can be written to with putTile(), e.g. as the "storage" of the autogen:// source, or with
+ putAsync(), e.g. by the metatile:// source. The Content-Type and Last-Modified headers of the
+ tile are kept in the {y}.{ext}.headers file next to it.
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const crypto = require( 'crypto' );
+const pathLib = require( 'path' );
+const fs = require( 'fs' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const uptile = require( 'tilelive-promise' );
+
+Promise.promisifyAll( fs );
+
+let core;
+
+const contentTypes = {
+	pbf: 'application/x-protobuf',
+	mvt: 'application/x-protobuf',
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	webp: 'image/webp',
+	json: 'application/json'
+};
+
+/**
+ * Source headers that are stored with the tile
+ */
+const storedHeaders = [ 'Content-Type', 'Last-Modified' ];
+
+function isGzipped( data ) {
+	return data && data.length > 1 && data[ 0 ] === 0x1F && data[ 1 ] === 0x8B;
+}
+
+/**
+ * Recursively delete a file or a directory, ignoring missing ones
+ *
+ * @param {string} path
+ * @return {Promise}
+ */
+function removeAsync( path ) {
+	return fs.statAsync( path ).then( ( stats ) => {
+		if ( !stats.isDirectory() ) {
+			return fs.unlinkAsync( path );
+		}
+		return fs.readdirAsync( path )
+			.each( ( name ) => removeAsync( pathLib.join( path, name ) ) )
+			.then( () => fs.rmdirAsync( path ) );
+	} ).catch( ( err ) => {
+		if ( err.code !== 'ENOENT' ) {
+			throw err;
+		}
+	} );
+}
+
+function DiskCache( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		uri = checkType.normalizeUrl( uri );
+		const params = uri.query;
+		const dir = uri.host ? uri.host + ( uri.pathname || '' ) : uri.pathname;
+		if ( !dir || dir === '/' ) {
+			throw new Err( 'diskcache:// requires a directory, e.g. diskcache:///srv/tiles or a pathname param' );
+		}
+		self.dir = pathLib.resolve( core.getAppRootDir(), dir );
+		// file extension of the stored tiles
+		checkType( params, 'ext', 'string', 'pbf', 1 );
+		// maximum age of the stored tile in seconds, older tiles are treated as missing
+		checkType( params, 'maxage', 'integer', undefined, 1 );
+		// gzip uncompressed tiles before storing them
+		checkType( params, 'compress', 'boolean' );
+		self.params = params;
+		if ( !/^\w+$/.test( params.ext ) ) {
+			throw new Err( 'Invalid ext param %j', params.ext );
+		}
+		return fs.mkdirAsync( self.dir, { recursive: true } ).then( () => params.source &&
+			core.loadSource( params.source ).then( ( source ) => {
+				self.source = uptile( source );
+			} ) );
+	} ).return( self ).nodeify( callback );
+}
+
+DiskCache.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+
+	if ( opts.type !== undefined && opts.type !== 'tile' ) {
+		if ( self.source ) {
+			return self.source.getAsync( opts );
+		}
+		if ( opts.type === 'info' ) {
+			return { data: {} };
+		}
+		throw new Err( 'Unknown type %j', opts.type );
+	}
+
+	const path = self._getPath( opts.z, opts.x, opts.y, opts );
+	return self._readAsync( path ).then( ( res ) => {
+		if ( res ) {
+			return res;
+		}
+		if ( !self.source ) {
+			return Err.throwNoTile();
+		}
+		return self.source.getAsync( opts ).then(
+			( res2 ) => self._writeAsync( path, res2.data, res2.headers )
+				// on error, log and ignore
+				.catch( ( err ) => core.log( 'error', err ) )
+				.return( res2 )
+		);
+	} );
+} );
+
+/**
+ * Store a tile, tilelive API
+ *
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @param {Buffer} tile
+ * @param {Function} callback
+ * @return {Promise}
+ */
+DiskCache.prototype.putTile = function putTile( z, x, y, tile, callback ) {
+	return Promise.try(
+		() => this._writeAsync( this._getPath( z, x, y ), tile )
+	).nodeify( callback );
+};
+
+/**
+ * Store the tile as the result of getAsync() with the same options
+ *
+ * @param {Object} opts tile options - z, x, y, and the optional format, scale, and lang
+ * @param {Object} res tile data and headers
+ * @return {Promise}
+ */
+DiskCache.prototype.putAsync = function putAsync( opts, res ) {
+	return Promise.try( () => this._writeAsync(
+		this._getPath( opts.z, opts.x, opts.y, opts ), res.data, res.headers
+	) );
+};
+
+DiskCache.prototype.startWriting = function startWriting( callback ) {
+	callback();
+};
+
+DiskCache.prototype.stopWriting = function stopWriting( callback ) {
+	callback();
+};
+
+/**
+ * Remove stored tiles. Without parameters, removes all tiles. With only the zoom given,
+ * removes all tiles of that zoom. With z/x/y, removes the tile with all its variants
+ * (scale, lang, format).
+ *
+ * @param {number} [z]
+ * @param {number} [x]
+ * @param {number} [y]
+ * @param {Function} [callback]
+ * @return {Promise}
+ */
+DiskCache.prototype.invalidate = function invalidate( z, x, y, callback ) {
+	const self = this;
+	if ( typeof z === 'function' ) {
+		callback = z;
+		z = undefined;
+	}
+	return Promise.try( () => {
+		if ( z === undefined ) {
+			return fs.readdirAsync( self.dir )
+				.each( ( name ) => removeAsync( pathLib.join( self.dir, name ) ) );
+		}
+		if ( x === undefined || y === undefined ) {
+			return removeAsync( pathLib.join( self.dir, z.toString() ) );
+		}
+		const dir = pathLib.dirname( self._getPath( z, x, y ) );
+		const prefix = `${y}.`;
+		return fs.readdirAsync( dir )
+			.filter( ( name ) => name.startsWith( prefix ) )
+			.each( ( name ) => removeAsync( pathLib.join( dir, name ) ) )
+			.catch( ( err ) => {
+				if ( err.code !== 'ENOENT' ) {
+					throw err;
+				}
+			} );
+	} ).return().nodeify( callback );
+};
+
+/**
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} [opts] variant of the tile - format, scale, and lang
+ * @return {string}
+ * @private
+ */
+DiskCache.prototype._getPath = function _getPath( z, x, y, opts ) {
+	let variant = '';
+	if ( opts ) {
+		variant = [ opts.format, opts.scale && `${opts.scale}x`, opts.lang ]
+			.filter( ( v ) => v !== undefined && v !== '' )
+			.join( '.' )
+			.replace( /[^-.\w]/g, '_' );
+	}
+	const name = variant ? `${+y}.${variant}.${this.params.ext}` : `${+y}.${this.params.ext}`;
+	return pathLib.join( this.dir, ( +z ).toString(), ( +x ).toString(), name );
+};
+
+/**
+ * Read stored tile, or resolve to undefined if it is missing or expired
+ *
+ * @param {string} path
+ * @return {Promise<Object|undefined>}
+ * @private
+ */
+DiskCache.prototype._readAsync = function _readAsync( path ) {
+	const self = this;
+	return fs.statAsync( path ).then( ( stats ) => {
+		const { maxage } = self.params;
+		if ( maxage && stats.mtime.getTime() + maxage * 1000 < Date.now() ) {
+			return undefined;
+		}
+		return Promise.all( [
+			fs.readFileAsync( path ),
+			fs.readFileAsync( `${path}.headers`, 'utf8' ).then( JSON.parse, () => ( {} ) )
+		] ).spread( ( data, stored ) => {
+			const headers = {};
+			if ( contentTypes[ self.params.ext ] ) {
+				headers[ 'Content-Type' ] = contentTypes[ self.params.ext ];
+			}
+			Object.assign( headers, stored );
+			if ( isGzipped( data ) ) {
+				headers[ 'Content-Encoding' ] = 'gzip';
+			}
+			return { data, headers };
+		} );
+	} ).catch( ( err ) => {
+		if ( err.code !== 'ENOENT' ) {
+			throw err;
+		}
+		return undefined;
+	} );
+};
+
+/**
+ * Atomically write a file, creating its directory if needed
+ *
+ * @param {string} path
+ * @param {Buffer|string} data
+ * @return {Promise}
+ */
+function writeFileAsync( path, data ) {
+	// concurrent writes of the same tile must not share the temporary file
+	const tmpPath = `${path}.${process.pid}.${crypto.randomBytes( 6 ).toString( 'hex' )}.tmp`;
+	return fs.mkdirAsync( pathLib.dirname( path ), { recursive: true } )
+		.then( () => fs.writeFileAsync( tmpPath, data ) )
+		.then( () => fs.renameAsync( tmpPath, path ) )
+		.catch( ( err ) => fs.unlinkAsync( tmpPath ).catch( () => {} ).then( () => {
+			throw err;
+		} ) );
+}
+
+/**
+ * Atomically write a tile to disk, compressing it first if needed.
+ * The stored headers are written before the tile, so that the new tile is never read
+ * with the headers of the old one.
+ *
+ * @param {string} path
+ * @param {Buffer} data
+ * @param {Object} [headers] source headers of the tile
+ * @return {Promise}
+ * @private
+ */
+DiskCache.prototype._writeAsync = function _writeAsync( path, data, headers ) {
+	const self = this;
+	return Promise.try( () => {
+		if ( !data || data.length === 0 ) {
+			return undefined;
+		}
+		let p = Promise.resolve( data );
+		if ( self.params.compress && !isGzipped( data ) ) {
+			p = core.compressPbfAsync( { data, headers: {} } ).then( ( res ) => res.data );
+		}
+		const stored = {};
+		storedHeaders.forEach( ( name ) => {
+			if ( headers && headers[ name ] ) {
+				stored[ name ] = headers[ name ];
+			}
+		} );
+		const headersPath = `${path}.headers`;
+		return p.then( ( buf ) => ( Object.keys( stored ).length ?
+			writeFileAsync( headersPath, JSON.stringify( stored ) ) :
+			fs.unlinkAsync( headersPath ).catch( ( err ) => {
+				if ( err.code !== 'ENOENT' ) {
+					throw err;
+				}
+			} )
+		).then( () => writeFileAsync( path, buf ) ) );
+	} );
+};
+
+DiskCache.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'diskcache:' ] = DiskCache;
+};
+
+module.exports = DiskCache;
@@ -0,0 +1,167 @@
+'use strict';
+
+const _ = require( 'underscore' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+
+/**
+ * Content types of the raster image formats
+ */
+const contentTypes = {
+	png: 'image/png',
+	jpeg: 'image/jpeg',
+	webp: 'image/webp'
+};
+
+/**
+ * Formats tried by the "auto" format negotiation, in the order of preference.
+ * Formats that not all clients can decode are only used if the client lists them explicitly,
+ * and not just accepts any image with a wildcard.
+ */
+const negotiated = [ 'webp', 'png', 'jpeg' ];
+const explicitOnly = [ 'webp' ];
+
+const quantizers = {
+	hextree: 'h',
+	octree: 'o'
+};
+
+/**
+ * Validate one format section of the source's encoding configuration
+ *
+ * @param {Object} encoding
+ * @param {string} format
+ * @param {Function} validator called with the section object
+ */
+function validateSection( encoding, format, validator ) {
+	if ( !checkType( encoding, format, 'object' ) ) {
+		return;
+	}
+	const section = encoding[ format ] = Object.assign( {}, encoding[ format ] );
+	try {
+		validator( section );
+	} catch ( err ) {
+		err.message = `encoding.${format}: ${err.message}`;
+		throw err;
+	}
+}
+
+/**
+ * Validate the raster encoding settings of a source, e.g.
+ * {png: {truecolor: false, colors: 64, quantizer: octree, compression: 9},
+ *  jpeg: {quality: 85}, webp: {quality: 80, lossless: false, method: 4}}
+ *
+ * @param {Object} encoding
+ * @return {Object} validated copy of the settings
+ */
+function validate( encoding ) {
+	if ( typeof encoding !== 'object' || encoding === null || Array.isArray( encoding ) ) {
+		throw new Err( 'encoding must be an object' );
+	}
+	const unknown = _.difference( Object.keys( encoding ), [ 'png', 'jpeg', 'webp' ] );
+	if ( unknown.length ) {
+		throw new Err( 'encoding has unknown formats %j', unknown );
+	}
+	encoding = Object.assign( {}, encoding );
+
+	validateSection( encoding, 'png', ( png ) => {
+		// full 32 bit image instead of the 8 bit palette-based one
+		checkType( png, 'truecolor', 'boolean' );
+		checkType( png, 'colors', 'integer', undefined, 2, 256 );
+		checkType( png, 'quantizer', 'string', 'hextree' );
+		if ( !Object.prototype.hasOwnProperty.call( quantizers, png.quantizer ) ) {
+			throw new Err( 'quantizer must be one of %j', Object.keys( quantizers ) );
+		}
+		// zlib compression level
+		checkType( png, 'compression', 'integer', undefined, 0, 9 );
+	} );
+	validateSection( encoding, 'jpeg', ( jpeg ) => {
+		checkType( jpeg, 'quality', 'integer', undefined, 0, 100 );
+	} );
+	validateSection( encoding, 'webp', ( webp ) => {
+		checkType( webp, 'quality', 'integer', undefined, 0, 100 );
+		checkType( webp, 'lossless', 'boolean' );
+		// speed/size trade-off, 0 is the fastest
+		checkType( webp, 'method', 'integer', undefined, 0, 6 );
+	} );
+	return encoding;
+}
+
+/**
+ * Get the mapnik format string used to encode the image
+ *
+ * @param {string} format requested format, e.g. 'png'
+ * @param {Object} [encoding] validated settings of the source
+ * @param {Object} [defaults] settings to use unless the source sets them, per format
+ * @return {string} e.g. 'png8:m=h:z=9'
+ */
+function getFormat( format, encoding, defaults ) {
+	const opts = Object.assign(
+		{}, defaults && defaults[ format ], encoding && encoding[ format ]
+	);
+	switch ( format ) {
+		case 'png': {
+			if ( opts.truecolor ) {
+				return opts.compression === undefined ? 'png32' : `png32:z=${opts.compression}`;
+			}
+			let result = `png8:m=${quantizers[ opts.quantizer || 'hextree' ]}`;
+			if ( opts.colors !== undefined ) {
+				result += `:c=${opts.colors}`;
+			}
+			if ( opts.compression !== undefined ) {
+				result += `:z=${opts.compression}`;
+			}
+			return result;
+		}
+		case 'jpeg':
+			return opts.quality === undefined ? 'jpeg' : `jpeg${opts.quality}`;
+		case 'webp': {
+			let result = 'webp';
+			if ( opts.quality !== undefined ) {
+				result += `:quality=${opts.quality}`;
+			}
+			if ( opts.method !== undefined ) {
+				result += `:method=${opts.method}`;
+			}
+			if ( opts.lossless ) {
+				result += ':lossless=1';
+			}
+			return result;
+		}
+		default:
+			return format;
+	}
+}
+
+/**
+ * Pick the image format for the "auto" format requests, based on the Accept request header.
+ * The first allowed format of the preference order that the client accepts is used.
+ *
+ * @param {express.Request} req
+ * @param {string[]} allowed formats enabled for the source
+ * @return {string}
+ */
+function negotiate( req, allowed ) {
+	const accept = ( req.headers && req.headers.accept ) || '';
+	for ( const format of negotiated ) {
+		if ( !_.contains( allowed, format ) ) {
+			continue;
+		}
+		const type = contentTypes[ format ];
+		if ( explicitOnly.includes( format ) && !accept.includes( type ) ) {
+			continue;
+		}
+		if ( req.accepts( type ) ) {
+			return format;
+		}
+	}
+	throw new Err( 'None of the formats %j is acceptable', allowed )
+		.metrics( 'err.req.format' ).httpStatus( 406 );
+}
+
+module.exports = {
+	contentTypes,
+	validate,
+	getFormat,
+	negotiate
+};
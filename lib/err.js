@@ -24,6 +24,7 @@
 'use strict';
 
 const util = require( 'util' );
+const http = require( 'http' );
 
 /**
  * Creates a formatted error info
@@ -47,6 +48,34 @@ Err.prototype.metrics = function metricsFunc( metrics ) {
 	return this;
 };
 
+/**
+ * Set the HTTP status code and the problem type to report to the client
+ *
+ * @param {number} status
+ * @param {string} [type] short problem type, e.g. 'not_found'
+ * @return {Err}
+ */
+Err.prototype.httpStatus = function httpStatus( status, type ) {
+	this.status = status;
+	if ( type ) {
+		this.type = type;
+	}
+	return this;
+};
+
+/**
+ * Default problem types of the HTTP status codes
+ */
+const problemTypes = {
+	400: 'bad_request',
+	403: 'forbidden',
+	404: 'not_found',
+	406: 'not_acceptable',
+	500: 'internal_error',
+	503: 'unavailable',
+	504: 'timeout'
+};
+
 /**
  * Throw "standard" tile does not exist error.
  * The error message string is often used to check if tile existance, so it has to be exact
@@ -65,4 +94,102 @@ Err.isNoTileError = function isNoTileError( err ) {
 	return err.message === 'Tile does not exist';
 };
 
+/**
+ * Create an error indicating that the request did not finish in time
+ *
+ * @param {number} ms the timeout that has expired
+ * @return {Err}
+ */
+Err.timeout = function timeout( ms ) {
+	const err = new Err( 'Request timed out after %d ms', ms )
+		.metrics( 'err.req.timeout' ).httpStatus( 504, 'timeout' );
+	err.isTimeout = true;
+	return err;
+};
+
+/**
+ * Checks if the error indicates the request did not finish in time
+ *
+ * @param {Object} err
+ * @return {boolean}
+ */
+Err.isTimeoutError = function isTimeoutError( err ) {
+	return !!err && err.isTimeout === true;
+};
+
+/**
+ * Create an error indicating that the tile source, or the upstream it depends on,
+ * is not able to serve requests at the moment
+ *
+ * @param {...any} messageParams
+ * @return {Err}
+ */
+Err.unavailable = function unavailable( ...messageParams ) {
+	const err = new Err( ...messageParams ).httpStatus( 503, 'unavailable' );
+	err.isUnavailable = true;
+	return err;
+};
+
+/**
+ * Checks if the error indicates the source is unavailable
+ *
+ * @param {Object} err
+ * @return {boolean}
+ */
+Err.isUnavailableError = function isUnavailableError( err ) {
+	return !!err && err.isUnavailable === true;
+};
+
+/**
+ * System error codes of the failed connections to the upstream servers and databases
+ */
+const unavailableCodes = [ 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN' ];
+const timeoutCodes = [ 'ETIMEDOUT', 'ESOCKETTIMEDOUT' ];
+
+/**
+ * Get the HTTP status code for the error. Missing tiles are reported as 404, timeouts as 504,
+ * unavailable sources and failed upstream connections as 503, errors with metrics are
+ * expected request errors (400), and all other errors are internal (500), unless the error
+ * has its own status.
+ *
+ * @param {Object} err
+ * @return {number}
+ */
+Err.getStatus = function getStatus( err ) {
+	if ( !err ) {
+		return 500;
+	}
+	if ( Number.isInteger( err.status ) ) {
+		return err.status;
+	}
+	if ( Err.isNoTileError( err ) ) {
+		return 404;
+	}
+	// bluebird's Promise.TimeoutError is not an Err, but is a timeout all the same
+	if ( Err.isTimeoutError( err ) || err.name === 'TimeoutError' || timeoutCodes.includes( err.code ) ) {
+		return 504;
+	}
+	if ( Err.isUnavailableError( err ) || unavailableCodes.includes( err.code ) ) {
+		return 503;
+	}
+	return typeof err.metrics === 'string' ? 400 : 500;
+};
+
+/**
+ * Convert the error into an RFC 7807 application/problem+json object
+ *
+ * @param {Object} err
+ * @return {{type: string, title: string, status: number, detail: string, metrics: string}}
+ */
+Err.toProblem = function toProblem( err ) {
+	const status = Err.getStatus( err );
+	return {
+		type: ( err && err.type ) || problemTypes[ status ] || 'error',
+		title: http.STATUS_CODES[ status ] || 'Unknown Error',
+		status,
+		detail: ( err && err.message ) || 'error/unknown',
+		metrics: err && typeof err.metrics === 'string' ? err.metrics : undefined
+	};
+};
+
 module.exports = Err;
@@ -0,0 +1,123 @@
+/*
+ Fallback is a tile source that tries an ordered list of upstream sources until one of them
+ responds. Each upstream has its own timeout and a circuit breaker - after several failures
+ in a row, the upstream is skipped for a while. The upstream that served the tile is reported
+ in a response header and in metrics.
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const uptile = require( 'tilelive-promise' );
+
+let core;
+
+function Fallback( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		const params = checkType.normalizeUrl( uri ).query;
+		// ordered list of source URIs, usually set as [{ref: sourceId}, ...]
+		checkType( params, 'sources', 'string-array', true, 1 );
+		// names of the upstreams for the header and metrics, the ref ids by default
+		checkType( params, 'names', 'string-array', [] );
+		// timeout in milliseconds, either one for all upstreams, or a list with one per upstream
+		checkType( params, 'timeout', 'number-array', [ 5000 ] );
+		if ( params.timeout.length !== 1 && params.timeout.length !== params.sources.length ) {
+			throw new Err( 'timeout param must be a number, or a list with one number per source' );
+		}
+		// number of consecutive failures that makes the upstream skipped for "cooldown" ms
+		checkType( params, 'failures', 'integer', 5, 1 );
+		checkType( params, 'cooldown', 'integer', 30000, 0 );
+		// try the next upstream if the tile is missing, instead of reporting it as missing
+		checkType( params, 'fallbackOnMissing', 'boolean' );
+		checkType( params, 'header', 'string', 'X-Tile-Upstream' );
+		// metrics prefix, e.g. fallback.<name>.served
+		checkType( params, 'metrics', 'string', 'fallback' );
+		self.params = params;
+
+		return Promise.map( params.sources, ( src ) => core.loadSource( src ) );
+	} ).then( ( sources ) => {
+		const { params } = self;
+		self.upstreams = sources.map( ( source, ind ) => {
+			let name = params.names[ ind ];
+			if ( !name ) {
+				const query = checkType.normalizeUrl( params.sources[ ind ] ).query;
+				name = query.ref || `source${ind}`;
+			}
+			return {
+				name,
+				source: uptile( source ),
+				timeout: params.timeout.length === 1 ? params.timeout[ 0 ] : params.timeout[ ind ],
+				failures: 0,
+				openUntil: 0
+			};
+		} );
+		return self;
+	} ).nodeify( callback );
+}
+
+Fallback.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+	const prefix = self.params.metrics;
+	let lastError;
+	let missingError;
+	let ind = 0;
+
+	const tryNext = () => {
+		while ( ind < self.upstreams.length && self.upstreams[ ind ].openUntil > Date.now() ) {
+			core.metrics.increment( `${prefix}.${self.upstreams[ ind ].name}.skipped` );
+			ind++;
+		}
+		if ( ind >= self.upstreams.length ) {
+			throw missingError || lastError ||
+				Err.unavailable( 'All upstream sources are unavailable' )
+					.metrics( `${prefix}.unavailable` );
+		}
+		const upstream = self.upstreams[ ind++ ];
+
+		return Promise.resolve( upstream.source.getAsync( Object.assign( {}, opts ) ) )
+			.timeout( upstream.timeout )
+			.then( ( res ) => {
+				upstream.failures = 0;
+				core.metrics.increment( `${prefix}.${upstream.name}.served` );
+				if ( opts.type === undefined || opts.type === 'tile' ) {
+					res.headers = Object.assign( {}, res.headers );
+					res.headers[ self.params.header ] = upstream.name;
+				}
+				return res;
+			}, ( err ) => {
+				if ( Err.isNoTileError( err ) ) {
+					// a missing tile is a valid response, not a failure of the upstream
+					upstream.failures = 0;
+					core.metrics.increment( `${prefix}.${upstream.name}.missing` );
+					if ( !self.params.fallbackOnMissing ) {
+						throw err;
+					}
+					missingError = err;
+					return tryNext();
+				}
+				const isTimeout = err instanceof Promise.TimeoutError;
+				core.metrics.increment( `${prefix}.${upstream.name}.${isTimeout ? 'timeout' : 'error'}` );
+				core.log( 'warn', `fallback: upstream ${upstream.name} failed: ${core.errToStr( err )}` );
+				upstream.failures++;
+				if ( upstream.failures >= self.params.failures ) {
+					upstream.openUntil = Date.now() + self.params.cooldown;
+					core.metrics.increment( `${prefix}.${upstream.name}.open` );
+				}
+				// report the expired upstream timeout as a gateway timeout
+				lastError = isTimeout ? Err.timeout( upstream.timeout ) : err;
+				return tryNext();
+			} );
+	};
+
+	return tryNext();
+} );
+
+Fallback.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'fallback:' ] = Fallback;
+};
+
+module.exports = Fallback;
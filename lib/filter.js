@@ -0,0 +1,259 @@
+/*
+ Filter is a vector tile source wrapper that removes layers, features, and feature attributes
+ from the tiles of another source, based on declarative rules with zoom ranges.
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const _ = require( 'underscore' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const tileCodec = require( './babel/tileCodec' );
+const uptile = require( 'tilelive-promise' );
+
+let core;
+
+const operators = {
+	'=': ( v, expected ) => expected.some( ( e ) => v !== undefined && String( v ) === String( e ) ),
+	'!=': ( v, expected ) => !expected.some( ( e ) => v !== undefined && String( v ) === String( e ) ),
+	'<': ( v, expected ) => typeof v === 'number' && v < expected,
+	'<=': ( v, expected ) => typeof v === 'number' && v <= expected,
+	'>': ( v, expected ) => typeof v === 'number' && v > expected,
+	'>=': ( v, expected ) => typeof v === 'number' && v >= expected,
+	exists: ( v, expected ) => ( v !== undefined ) === !!expected
+};
+
+/**
+ * Convert the "where" rule value into a list of conditions. The value is an object
+ * of attribute names to either a value, a list of values, or to an object with
+ * the operators, e.g. {class: [path, track], rank: {'>': 10}, name: {exists: false}}
+ *
+ * @param {Object} where
+ * @return {Object[]} list of {key, op, value}
+ */
+function parseWhere( where ) {
+	if ( typeof where !== 'object' || Array.isArray( where ) ) {
+		throw new Err( 'Filter rule "where" must be an object' );
+	}
+	const conditions = [];
+	_.each( where, ( value, key ) => {
+		if ( value === null || typeof value !== 'object' || Array.isArray( value ) ) {
+			conditions.push( { key, op: '=', value: Array.isArray( value ) ? value : [ value ] } );
+			return;
+		}
+		_.each( value, ( opValue, op ) => {
+			if ( !operators[ op ] ) {
+				throw new Err( 'Unknown filter operator %j for %j', op, key );
+			}
+			if ( op === '=' || op === '!=' ) {
+				opValue = Array.isArray( opValue ) ? opValue : [ opValue ];
+			}
+			conditions.push( { key, op, value: opValue } );
+		} );
+	} );
+	return conditions;
+}
+
+/**
+ * @param {Object[]} conditions parsed with parseWhere()
+ * @param {Object} attrs feature attributes
+ * @return {boolean} true if all of the conditions match
+ */
+function matchesWhere( conditions, attrs ) {
+	return conditions.every( ( cond ) => operators[ cond.op ]( attrs[ cond.key ], cond.value ) );
+}
+
+/**
+ * Create a function that checks if the attribute key matches any of the patterns.
+ * A pattern ending with "*" matches all keys with that prefix, e.g. "name_*"
+ *
+ * @param {string[]} patterns
+ * @return {Function}
+ */
+function keyMatcher( patterns ) {
+	const exact = new Set( patterns.filter( ( p ) => !p.endsWith( '*' ) ) );
+	const prefixes = patterns.filter( ( p ) => p.endsWith( '*' ) ).map( ( p ) => p.slice( 0, -1 ) );
+	return ( key ) => exact.has( key ) || prefixes.some( ( p ) => key.startsWith( p ) );
+}
+
+/**
+ * Validate a single rule
+ *
+ * @param {Object} rule
+ * @return {Object}
+ */
+function parseRule( rule ) {
+	if ( typeof rule !== 'object' || rule === null ) {
+		throw new Err( 'Each filter rule must be an object' );
+	}
+	rule = Object.assign( {}, rule );
+	checkType( rule, 'minzoom', 'zoom', 0 );
+	checkType( rule, 'maxzoom', 'zoom' );
+	// layers this rule applies to, all layers if not set
+	checkType( rule, 'layers', 'string-array' );
+	// remove the whole layer
+	checkType( rule, 'drop', 'boolean' );
+	// remove the features matching all of these conditions
+	if ( rule.where !== undefined ) {
+		rule.where = parseWhere( rule.where );
+	}
+	// remove these attributes, or remove all attributes except these
+	if ( checkType( rule, 'removeKeys', 'string-array' ) ) {
+		rule.removeKeys = keyMatcher( rule.removeKeys );
+	}
+	if ( checkType( rule, 'keepKeys', 'string-array' ) ) {
+		rule.keepKeys = keyMatcher( rule.keepKeys );
+	}
+	if ( !rule.drop && !rule.where && !rule.removeKeys && !rule.keepKeys ) {
+		throw new Err( 'Filter rule must have at least one of drop, where, removeKeys, keepKeys' );
+	}
+	return rule;
+}
+
+/**
+ * Remove keys and values that are no longer used by any feature, re-indexing all tags
+ *
+ * @param {Object} layer decoded layer
+ */
+function compactLayer( layer ) {
+	const keys = [];
+	const values = [];
+	const keyMap = {};
+	const valueMap = {};
+	for ( const feature of layer.features ) {
+		if ( !feature.tags ) {
+			continue;
+		}
+		feature.tags = feature.tags.map( ( v, ind ) => {
+			const [ store, map, source ] = ind % 2 === 0 ?
+				[ keys, keyMap, layer.keys ] : [ values, valueMap, layer.values ];
+			if ( map[ v ] === undefined ) {
+				map[ v ] = store.length;
+				store.push( source[ v ] );
+			}
+			return map[ v ];
+		} );
+	}
+	layer.keys = keys;
+	layer.values = values;
+}
+
+function Filter( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		const params = checkType.normalizeUrl( uri ).query;
+		if ( !params.source ) {
+			throw new Err( "Uri must include 'source' query parameter: %j", uri );
+		}
+		checkType( params, 'rules', 'array', true );
+		// metrics prefix, e.g. filter.saved
+		checkType( params, 'metrics', 'string', 'filter' );
+		self.rules = params.rules.map( parseRule );
+		self.params = params;
+		return core.loadSource( params.source );
+	} ).then( ( source ) => {
+		self.source = uptile( source );
+		return self;
+	} ).nodeify( callback );
+}
+
+Filter.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+
+	if ( opts.type !== undefined && opts.type !== 'tile' ) {
+		return self.source.getAsync( opts );
+	}
+
+	const rules = self.rules.filter( ( rule ) => opts.z >= rule.minzoom &&
+		( rule.maxzoom === undefined || opts.z <= rule.maxzoom ) );
+	if ( rules.length === 0 ) {
+		return self.source.getAsync( opts );
+	}
+
+	let res;
+	return self.source.getAsync( opts ).then( ( result ) => {
+		res = result;
+		return core.uncompressAsync( res.data, res.headers );
+	} ).then( ( data ) => {
+		const tile = tileCodec.decodeTile( data );
+		tile.layers = tile.layers.filter( ( layer ) => self._filterLayer( layer, rules ) );
+		if ( tile.layers.length === 0 ) {
+			Err.throwNoTile();
+		}
+		res.data = tileCodec.encodeTile( tile );
+		// report the number of bytes removed from the uncompressed tile. Re-encoding may add
+		// the omitted default fields, so an unchanged tile can grow a little.
+		core.metrics.increment(
+			`${self.params.metrics}.saved`, Math.max( 0, data.length - res.data.length )
+		);
+		return core.compressPbfAsync( res );
+	} );
+} );
+
+/**
+ * Apply all matching rules to the layer
+ *
+ * @param {Object} layer decoded layer, modified in place
+ * @param {Object[]} rules rules that apply at the current zoom
+ * @return {boolean} false if the whole layer should be removed
+ * @private
+ */
+Filter.prototype._filterLayer = function _filterLayer( layer, rules ) {
+	let changed = false;
+	for ( const rule of rules ) {
+		if ( rule.layers && !rule.layers.includes( layer.name ) ) {
+			continue;
+		}
+		if ( rule.drop ) {
+			return false;
+		}
+		if ( rule.where ) {
+			const count = layer.features.length;
+			layer.features = layer.features.filter( ( feature ) => {
+				const attrs = {};
+				const tags = feature.tags || [];
+				for ( let i = 0; i < tags.length; i += 2 ) {
+					attrs[ layer.keys[ tags[ i ] ] ] = layer.values[ tags[ i + 1 ] ].value;
+				}
+				return !matchesWhere( rule.where, attrs );
+			} );
+			changed = changed || count !== layer.features.length;
+		}
+		if ( rule.removeKeys || rule.keepKeys ) {
+			for ( const feature of layer.features ) {
+				if ( !feature.tags ) {
+					continue;
+				}
+				const tags = [];
+				for ( let i = 0; i < feature.tags.length; i += 2 ) {
+					const key = layer.keys[ feature.tags[ i ] ];
+					if ( ( !rule.removeKeys || !rule.removeKeys( key ) ) &&
+						( !rule.keepKeys || rule.keepKeys( key ) )
+					) {
+						tags.push( feature.tags[ i ], feature.tags[ i + 1 ] );
+					}
+				}
+				changed = changed || tags.length !== feature.tags.length;
+				feature.tags = tags;
+			}
+		}
+	}
+	if ( layer.features.length === 0 ) {
+		return false;
+	}
+	if ( changed ) {
+		compactLayer( layer );
+	}
+	return true;
+};
+
+Filter.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'filter:' ] = Filter;
+};
+
+Filter.parseWhere = parseWhere;
+Filter.matchesWhere = matchesWhere;
+
+module.exports = Filter;
@@ -0,0 +1,256 @@
+/*
+ GeoJson is a tile source that slices a local GeoJSON or newline-delimited GeoJSON file
+ into vector tiles on the fly. Tiles are returned as gzipped PBFs.
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const pathLib = require( 'path' );
+const fs = require( 'fs' );
+const _ = require( 'underscore' );
+const geojsonvt = require( 'geojson-vt' );
+const vtpbf = require( 'vt-pbf' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const uptile = require( 'tilelive-promise' );
+
+Promise.promisifyAll( fs );
+
+let core;
+
+const ndjsonRe = /\.(ndjson|geojsonl|geojsons|jsonl)$/i;
+
+/**
+ * Parse GeoJSON or NDJSON text into a FeatureCollection
+ *
+ * @param {string} text
+ * @param {boolean} ndjson
+ * @return {Object}
+ */
+function parseGeoJson( text, ndjson ) {
+	let items;
+	if ( ndjson ) {
+		items = text.split( '\n' )
+			.filter( ( line ) => line.trim() !== '' )
+			.map( ( line, ind ) => {
+				try {
+					return JSON.parse( line );
+				} catch ( err ) {
+					throw new Err( 'Unable to parse line %d: %s', ind + 1, err.message );
+				}
+			} );
+	} else {
+		items = [ JSON.parse( text ) ];
+	}
+
+	const features = [];
+	for ( const item of items ) {
+		if ( !item || typeof item !== 'object' ) {
+			throw new Err( 'Invalid GeoJSON object' );
+		} else if ( item.type === 'FeatureCollection' ) {
+			features.push( ...item.features );
+		} else if ( item.type === 'Feature' ) {
+			features.push( item );
+		} else {
+			// a bare geometry
+			features.push( { type: 'Feature', properties: {}, geometry: item } );
+		}
+	}
+	return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Calculate [west, south, east, north] of all features
+ *
+ * @param {Object} collection
+ * @return {number[]|undefined}
+ */
+function calcBounds( collection ) {
+	const bounds = [ Infinity, Infinity, -Infinity, -Infinity ];
+	const addCoords = ( coords ) => {
+		if ( typeof coords[ 0 ] === 'number' ) {
+			bounds[ 0 ] = Math.min( bounds[ 0 ], coords[ 0 ] );
+			bounds[ 1 ] = Math.min( bounds[ 1 ], coords[ 1 ] );
+			bounds[ 2 ] = Math.max( bounds[ 2 ], coords[ 0 ] );
+			bounds[ 3 ] = Math.max( bounds[ 3 ], coords[ 1 ] );
+		} else {
+			coords.forEach( addCoords );
+		}
+	};
+	const addGeometry = ( geometry ) => {
+		if ( !geometry ) {
+			return;
+		}
+		if ( geometry.type === 'GeometryCollection' ) {
+			geometry.geometries.forEach( addGeometry );
+		} else {
+			addCoords( geometry.coordinates );
+		}
+	};
+	collection.features.forEach( ( f ) => addGeometry( f.geometry ) );
+	return bounds[ 0 ] === Infinity ? undefined : bounds;
+}
+
+/**
+ * Describe feature properties for the vector_layers info, e.g. {name: 'String'}
+ *
+ * @param {Object} collection
+ * @return {Object}
+ */
+function calcFields( collection ) {
+	const fields = {};
+	for ( const feature of collection.features ) {
+		_.each( feature.properties, ( v, k ) => {
+			let type;
+			if ( typeof v === 'number' ) {
+				type = 'Number';
+			} else if ( typeof v === 'boolean' ) {
+				type = 'Boolean';
+			} else {
+				type = 'String';
+			}
+			fields[ k ] = fields[ k ] && fields[ k ] !== type ? 'String' : type;
+		} );
+	}
+	return fields;
+}
+
+function GeoJson( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		uri = checkType.normalizeUrl( uri );
+		const params = uri.query;
+		const file = uri.host ? uri.host + ( uri.pathname || '' ) : uri.pathname;
+		if ( !file || file === '/' ) {
+			throw new Err( 'geojson:// requires a file, e.g. geojson:///srv/data/parks.geojson' );
+		}
+		self.filename = pathLib.resolve( core.getAppRootDir(), decodeURIComponent( file ) );
+
+		const defaultLayer = pathLib.basename( self.filename ).replace( /\..*$/, '' );
+		checkType( params, 'layer', 'string', defaultLayer, 1 );
+		if ( params.ndjson === undefined ) {
+			params.ndjson = ndjsonRe.test( self.filename );
+		}
+		checkType( params, 'ndjson', 'boolean' );
+		checkType( params, 'minzoom', 'zoom', 0 );
+		checkType( params, 'maxzoom', 'zoom', 14 );
+		// tile extent, and the buffer around the tile, in extent units
+		checkType( params, 'extent', 'integer', 4096, 256 );
+		checkType( params, 'buffer', 'integer', 64, 0 );
+		// max zoom of the pre-generated tile index, deeper tiles are sliced on demand
+		checkType( params, 'indexMaxZoom', 'zoom', 5 );
+		// simplification tolerance (in pixels at each zoom), either one number for all zooms,
+		// or an object {zoom: tolerance}, applying each value from the given zoom and up.
+		// The zooms below the lowest given one use the default tolerance of 3.
+		if ( typeof params.tolerance === 'object' ) {
+			self.tolerances = _.chain( params.tolerance )
+				.map( ( v, k ) => {
+					const value = { zoom: k, tolerance: v };
+					checkType( value, 'zoom', 'zoom', true );
+					checkType( value, 'tolerance', 'number', true, 0 );
+					value.tolerance = checkType.strToFloat( value.tolerance );
+					return value;
+				} )
+				.sortBy( 'zoom' )
+				.value();
+			if ( !self.tolerances.length || self.tolerances[ 0 ].zoom > 0 ) {
+				self.tolerances.unshift( { zoom: 0, tolerance: 3 } );
+			}
+		} else {
+			checkType( params, 'tolerance', 'number', 3, 0 );
+			self.tolerances = [ { zoom: 0, tolerance: checkType.strToFloat( params.tolerance ) } ];
+		}
+		self.params = params;
+		return fs.readFileAsync( self.filename, 'utf8' );
+	} ).then( ( text ) => {
+		self.geojson = parseGeoJson( text, self.params.ndjson );
+		self.indexes = {};
+		self.info = {
+			format: 'pbf',
+			minzoom: self.params.minzoom,
+			maxzoom: self.params.maxzoom,
+			vector_layers: [ {
+				id: self.params.layer,
+				minzoom: self.params.minzoom,
+				maxzoom: self.params.maxzoom,
+				fields: calcFields( self.geojson )
+			} ]
+		};
+		const bounds = calcBounds( self.geojson );
+		if ( bounds ) {
+			self.info.bounds = bounds;
+			self.info.center = [
+				( bounds[ 0 ] + bounds[ 2 ] ) / 2,
+				( bounds[ 1 ] + bounds[ 3 ] ) / 2,
+				self.params.minzoom
+			];
+		}
+		return self;
+	} ).nodeify( callback );
+}
+
+GeoJson.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+
+	switch ( opts.type ) {
+		case undefined:
+		case 'tile':
+			break;
+		case 'info':
+			return { data: self.info };
+		default:
+			throw new Err( 'Unknown type %j', opts.type );
+	}
+
+	if ( opts.z < self.params.minzoom || opts.z > self.params.maxzoom ) {
+		Err.throwNoTile();
+	}
+	const tile = self._getIndex( opts.z ).getTile( opts.z, opts.x, opts.y );
+	if ( !tile || tile.features.length === 0 ) {
+		Err.throwNoTile();
+	}
+	const data = vtpbf.fromGeojsonVt(
+		{ [ self.params.layer ]: tile },
+		{ version: 2, extent: self.params.extent }
+	);
+	return core.compressPbfAsync( {
+		data,
+		headers: { 'Content-Type': 'application/x-protobuf' }
+	} );
+} );
+
+/**
+ * Get (and create if needed) the tile index with the simplification tolerance of the zoom
+ *
+ * @param {number} zoom
+ * @return {Object} geojson-vt index
+ * @private
+ */
+GeoJson.prototype._getIndex = function _getIndex( zoom ) {
+	let { tolerance } = this.tolerances[ 0 ];
+	for ( const value of this.tolerances ) {
+		if ( value.zoom <= zoom ) {
+			( { tolerance } = value );
+		}
+	}
+	let index = this.indexes[ tolerance ];
+	if ( !index ) {
+		index = geojsonvt( this.geojson, {
+			maxZoom: this.params.maxzoom,
+			indexMaxZoom: Math.min( this.params.indexMaxZoom, this.params.maxzoom ),
+			tolerance,
+			extent: this.params.extent,
+			buffer: this.params.buffer
+		} );
+		this.indexes[ tolerance ] = index;
+	}
+	return index;
+};
+
+GeoJson.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'geojson:' ] = GeoJson;
+};
+
+module.exports = GeoJson;
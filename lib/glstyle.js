@@ -0,0 +1,147 @@
+/*
+ Mapbox GL / MapLibre style support - validates the "glStyle" source setting, and builds
+ the style.json for the clients, pointing it to this server's TileJSON, and localizing the
+ labels with the same language fallback rules as the babel:// source.
+ */
+'use strict';
+
+const fs = require( 'fs' );
+const pathLib = require( 'path' );
+const _ = require( 'underscore' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const LanguagePicker = require( './babel/LanguagePicker' );
+
+const defaultLanguageMap = pathLib.join( __dirname, 'babel', 'fallbacks.json' );
+
+/**
+ * Load a JSON object, either given directly, or as a file name relative to the root dir
+ *
+ * @param {Object|string} value
+ * @param {string} rootDir
+ * @param {string} name of the setting, for the error messages
+ * @return {Object}
+ */
+function loadJson( value, rootDir, name ) {
+	if ( typeof value === 'string' ) {
+		value = JSON.parse( fs.readFileSync( pathLib.resolve( rootDir, value ), 'utf8' ) );
+	}
+	if ( typeof value !== 'object' || value === null || Array.isArray( value ) ) {
+		throw new Err( 'glStyle.%s must be an object or a JSON file name', name );
+	}
+	return value;
+}
+
+/**
+ * Validate the source's glStyle setting
+ *
+ * @param {Object} conf
+ * @param {string} rootDir app root dir to resolve the file names
+ * @return {Object} validated copy of the settings
+ */
+function validate( conf, rootDir ) {
+	conf = Object.assign( {}, conf );
+	if ( conf.style === undefined ) {
+		throw new Err( 'glStyle.style is required' );
+	}
+	// style template - everything except the source of this server
+	conf.style = loadJson( conf.style, rootDir, 'style' );
+	if ( !Array.isArray( conf.style.layers ) ) {
+		throw new Err( 'glStyle.style must have a list of layers' );
+	}
+	// same as the babel:// params
+	checkType( conf, 'tag', 'string', 'name' );
+	checkType( conf, 'multiTag', 'string', `${conf.tag}_` );
+	conf.languageMap = loadJson(
+		conf.languageMap === undefined ? defaultLanguageMap : conf.languageMap,
+		rootDir, 'languageMap'
+	);
+	return conf;
+}
+
+/**
+ * Get the ordered list of the label keys to try for the language, following the babel rules
+ *
+ * @param {Object} conf validated glStyle settings
+ * @param {string} lang
+ * @param {string[]} fields known attribute keys of the layer
+ * @return {string[]}
+ */
+function getLabelKeys( conf, lang, fields ) {
+	const picker = new LanguagePicker( lang, {
+		nameTag: conf.tag,
+		multiTag: conf.multiTag,
+		languageMap: conf.languageMap
+	} );
+	let candidates = _.uniq( picker.fallbacks.concat(
+		fields.filter( ( key ) => key.startsWith( conf.multiTag ) ),
+		[ conf.tag ]
+	) );
+	const result = [];
+	// Babel picks the first available value - repeat that to get all of the keys in order
+	for ( ;; ) {
+		const processor = picker.newProcessor();
+		candidates.forEach( ( key ) => processor.addValue( key, key ) );
+		const key = processor.getResult();
+		if ( !key ) {
+			return result;
+		}
+		result.push( key );
+		candidates = _.without( candidates, key );
+	}
+}
+
+/**
+ * @param {*} textField text-field layout value
+ * @param {string} tag
+ * @return {boolean} true if the text field is the plain label tag
+ */
+function isNameField( textField, tag ) {
+	return textField === `{${tag}}` || _.isEqual( textField, [ 'get', tag ] );
+}
+
+/**
+ * Build the style for the clients
+ *
+ * @param {Object} conf validated glStyle settings
+ * @param {string} sourceId
+ * @param {string} infoUrl TileJSON url of the source
+ * @param {string} [lang] language of the labels
+ * @param {Object[]} [vectorLayers] vector_layers of the source, to find all label keys
+ * @return {Object}
+ */
+function build( conf, sourceId, infoUrl, lang, vectorLayers ) {
+	const style = JSON.parse( JSON.stringify( conf.style ) );
+	style.sources = Object.assign( {}, style.sources );
+	style.sources[ sourceId ] = { type: 'vector', url: infoUrl };
+	const fieldsByLayer = _.mapObject(
+		_.indexBy( vectorLayers || [], 'id' ), ( layer ) => Object.keys( layer.fields || {} )
+	);
+	const keysByLayer = {};
+
+	for ( const layer of style.layers ) {
+		if ( layer.type !== 'background' && !layer.source ) {
+			layer.source = sourceId;
+		}
+		// "local" keeps the labels in the local language, same as in babel://
+		if ( !lang || lang === 'local' || !layer.layout ||
+			!isNameField( layer.layout[ 'text-field' ], conf.tag )
+		) {
+			continue;
+		}
+		const sourceLayer = layer[ 'source-layer' ];
+		if ( !keysByLayer[ sourceLayer ] ) {
+			const fields = fieldsByLayer[ sourceLayer ] || [];
+			keysByLayer[ sourceLayer ] = getLabelKeys( conf, lang, fields );
+		}
+		layer.layout[ 'text-field' ] =
+			[ 'coalesce' ].concat( keysByLayer[ sourceLayer ].map( ( key ) => [ 'get', key ] ) );
+	}
+	return style;
+}
+
+module.exports = {
+	validate,
+	getLabelKeys,
+	build
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const fs = require( 'fs' );
+const Promise = require( 'bluebird' );
+const fontnik = Promise.promisifyAll( require( 'fontnik' ) );
+const glyphComposite = require( '@mapbox/glyph-pbf-composite' );
+const Err = require( './err' );
+
+const readFileAsync = Promise.promisify( fs.readFile );
+
+let core;
+
+/**
+ * Maximum number of fonts in a single font stack request
+ *
+ * @type {number}
+ */
+const maxFontStack = 8;
+
+/**
+ * Font files loaded by the face name
+ *
+ * @type {Map<string, Promise<Buffer>>}
+ */
+const fonts = new Map();
+
+/**
+ * Load the font file of one of the fonts registered in mapnik
+ *
+ * @param {string} name font face name, e.g. "DejaVu Sans Book"
+ * @return {Promise<Buffer>}
+ */
+function loadFontAsync( name ) {
+	let font = fonts.get( name );
+	if ( !font ) {
+		const file = core.mapnik.fontFiles()[ name ];
+		if ( !file ) {
+			throw new Err( 'Unknown font %j', name ).metrics( 'err.req.font' ).httpStatus( 404 );
+		}
+		font = readFileAsync( file );
+		font.catch( () => fonts.delete( name ) );
+		fonts.set( name, font );
+	}
+	return font;
+}
+
+/**
+ * Web server (express) route handler to get a range of glyphs for the Mapbox GL / MapLibre styles
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Function} next will be called if request is not handled
+ * @return {Promise}
+ */
+function glyphsHandler( req, res, next ) {
+	const startTime = Date.now();
+	const { params } = req;
+
+	return Promise.try( () => {
+		const start = parseInt( params.start, 10 );
+		const end = parseInt( params.end, 10 );
+		if ( start % 256 !== 0 || end !== start + 255 || end > 65535 ) {
+			throw new Err( 'Glyph range must be 256 characters, e.g. 0-255' ).metrics( 'err.req.glyphs' );
+		}
+		const names = params.fontstack.split( ',' ).map( ( name ) => name.trim() );
+		if ( names.length > maxFontStack || names.some( ( name ) => !name ) ) {
+			throw new Err( 'Font stack must have 1 to %d font names', maxFontStack ).metrics( 'err.req.glyphs' );
+		}
+		return Promise.map( names, ( name ) => loadFontAsync( name )
+			.then( ( font ) => fontnik.rangeAsync( { font, start, end } ) )
+		);
+	} ).then( ( ranges ) => {
+		// The first font in the stack that has the glyph wins
+		const data = ranges.length === 1 ?
+			ranges[ 0 ] :
+			glyphComposite.combine( ranges, params.fontstack );
+		core.setResponseHeaders( res );
+		res.type( 'application/x-protobuf' ).send( data );
+		core.metrics.endTiming( 'glyphs', startTime );
+	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next );
+}
+
+module.exports = ( cor, router ) => {
+	core = cor;
+
+	// glyph ranges of the fonts registered in mapnik, e.g. /fonts/DejaVu Sans Book/0-255.pbf
+	router.get( '/fonts/:fontstack/:start(\\d+)-:end(\\d+).pbf', glyphsHandler );
+};
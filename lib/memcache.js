@@ -0,0 +1,166 @@
+/*
+ MemCache is a storage wrapper. Given a tile source, it keeps recently requested tiles
+ in a bounded in-process LRU cache, limited by the total size in bytes and by the number
+ of entries, with an optional time to live. Without a source, it is a plain storage that is
+ filled with putAsync(), e.g. by the metatile:// source.
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const uptile = require( 'tilelive-promise' );
+
+let core;
+
+function MemCache( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		const params = checkType.normalizeUrl( uri ).query;
+		// maximum total size of all cached tiles in bytes, 64MB by default
+		checkType( params, 'maxsize', 'integer', 64 * 1024 * 1024, 1 );
+		// maximum number of cached tiles
+		checkType( params, 'maxcount', 'integer', 10000, 1 );
+		// time to live in seconds, 0 to keep tiles until evicted
+		checkType( params, 'ttl', 'integer', 0, 0 );
+		// only tiles within these zooms are admitted into the cache
+		checkType( params, 'minzoom', 'zoom', 0 );
+		checkType( params, 'maxzoom', 'zoom', 22 );
+		// tiles bigger than this are never cached
+		checkType( params, 'maxtilesize', 'integer', params.maxsize, 1 );
+		// metrics prefix, e.g. memcache.hit, memcache.miss
+		checkType( params, 'metrics', 'string', 'memcache' );
+		self.params = params;
+		self.cache = new Map();
+		self.cacheSize = 0;
+		return params.source && core.loadSource( params.source );
+	} ).then( ( source ) => {
+		if ( source ) {
+			self.source = uptile( source );
+		}
+		return self;
+	} ).nodeify( callback );
+}
+
+MemCache.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+
+	if ( opts.type !== undefined && opts.type !== 'tile' ) {
+		if ( self.source ) {
+			return self.source.getAsync( opts );
+		}
+		if ( opts.type === 'info' ) {
+			return { data: {} };
+		}
+		throw new Err( 'Unknown type %j', opts.type );
+	}
+	if ( opts.z < self.params.minzoom || opts.z > self.params.maxzoom ) {
+		return self.source ? self.source.getAsync( opts ) : Err.throwNoTile();
+	}
+
+	const key = self._getKey( opts );
+	const entry = self._get( key );
+	if ( entry ) {
+		core.metrics.increment( `${self.params.metrics}.hit` );
+		return { data: entry.data, headers: Object.assign( {}, entry.headers ) };
+	}
+	core.metrics.increment( `${self.params.metrics}.miss` );
+	if ( !self.source ) {
+		return Err.throwNoTile();
+	}
+
+	return self.source.getAsync( opts ).then( ( res ) => {
+		self._set( key, res );
+		return res;
+	} );
+} );
+
+/**
+ * Store the tile as the result of getAsync() with the same options
+ *
+ * @param {Object} opts tile options - z, x, y, and the optional format, scale, and lang
+ * @param {Object} res tile data and headers
+ * @return {Promise}
+ */
+MemCache.prototype.putAsync = Promise.method( function putAsync( opts, res ) {
+	if ( opts.z >= this.params.minzoom && opts.z <= this.params.maxzoom ) {
+		this._set( this._getKey( opts ), res );
+	}
+} );
+
+/**
+ * @param {Object} opts tile options
+ * @return {string}
+ * @private
+ */
+MemCache.prototype._getKey = function _getKey( opts ) {
+	return JSON.stringify( [ opts.z, opts.x, opts.y, opts.format, opts.scale, opts.lang ] );
+};
+
+/**
+ * Get a cached entry, marking it as the most recently used one
+ *
+ * @param {string} key
+ * @return {Object|undefined}
+ * @private
+ */
+MemCache.prototype._get = function _get( key ) {
+	const entry = this.cache.get( key );
+	if ( entry === undefined ) {
+		return undefined;
+	}
+	this.cache.delete( key );
+	if ( entry.expires !== undefined && entry.expires <= Date.now() ) {
+		this.cacheSize -= entry.size;
+		return undefined;
+	}
+	// Map preserves insertion order - re-inserting moves the entry to the end
+	this.cache.set( key, entry );
+	return entry;
+};
+
+/**
+ * Store a copy of the result in cache, evicting least recently used entries if needed
+ *
+ * @param {string} key
+ * @param {Object} res
+ * @private
+ */
+MemCache.prototype._set = function _set( key, res ) {
+	const data = res.data;
+	const size = Buffer.isBuffer( data ) || typeof data === 'string' ? Buffer.byteLength( data ) : 0;
+	if ( !size || size > this.params.maxtilesize ) {
+		return;
+	}
+
+	const old = this.cache.get( key );
+	if ( old ) {
+		this.cache.delete( key );
+		this.cacheSize -= old.size;
+	}
+
+	this.cache.set( key, {
+		data,
+		headers: Object.assign( {}, res.headers ),
+		size,
+		expires: this.params.ttl ? Date.now() + this.params.ttl * 1000 : undefined
+	} );
+	this.cacheSize += size;
+
+	for ( const [ oldKey, oldEntry ] of this.cache ) {
+		if ( this.cacheSize <= this.params.maxsize && this.cache.size <= this.params.maxcount ) {
+			break;
+		}
+		this.cache.delete( oldKey );
+		this.cacheSize -= oldEntry.size;
+		core.metrics.increment( `${this.params.metrics}.evict` );
+	}
+};
+
+MemCache.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'memcache:' ] = MemCache;
+};
+
+module.exports = MemCache;
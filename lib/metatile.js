@@ -0,0 +1,232 @@
+/*
+ Metatile is a raster rendering wrapper for the tmstyle:// sources. Instead of rendering every
+ image tile on its own, it renders a block of NxN tiles at once, and slices it into tiles.
+ Label placement and data fetching are done once per block, and the labels crossing the tile
+ edges line up. Optionally, all tiles of the block are kept in a storage source, such as
+ memcache:// or diskcache:// without their own source, so that the neighbouring tiles are
+ served without rendering.
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const encoding = require( './encoding' );
+const uptile = require( 'tilelive-promise' );
+
+let core;
+
+/**
+ * Image formats that can be rendered as metatiles, e.g. "png8:m=h" or "jpeg80"
+ */
+const imageFormatRe = /^(png|jpeg|webp)/;
+
+/**
+ * Get the parts of a tmstyle:// or a vector:// source that are needed to render a block.
+ * These sources do not expose them publicly, so check each one and name the missing part.
+ *
+ * @param {Object} source loaded source
+ * @return {Object} map, backend, and scale of the source
+ */
+function getRenderer( source ) {
+	const backend = source._backend;
+	if ( !source._map ) {
+		throw new Err( 'Source of metatile must be a tmstyle:// or a vector:// source, ' +
+			'it has no map (_map)' );
+	}
+	if ( !backend || ( typeof backend.getAsync !== 'function' &&
+		typeof backend.getTile !== 'function' ) ) {
+		throw new Err( 'Source of metatile must be a tmstyle:// or a vector:// source, ' +
+			'it has no vector tile backend (_backend)' );
+	}
+	if ( source._scale !== undefined && !( source._scale > 0 ) ) {
+		throw new Err( 'Source of metatile has an invalid scale (_scale): %j', source._scale );
+	}
+	return { map: source._map, backend: uptile( backend ), scale: source._scale || 1 };
+}
+
+function Metatile( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		const params = checkType.normalizeUrl( uri ).query;
+		if ( !params.source ) {
+			throw new Err( "Uri must include 'source' query parameter: %j", uri );
+		}
+		// number of tiles along each side of the block, must be a power of 2
+		checkType( params, 'size', 'integer', 4, 1, 16 );
+		if ( !Number.isInteger( Math.log2( params.size ) ) ) {
+			throw new Err( 'size param must be a power of 2' );
+		}
+		// optional storage source for the rendered tiles
+		checkType( params, 'cache', 'string' );
+		// tiles outside of these zooms are rendered one by one
+		checkType( params, 'minzoom', 'zoom', 0 );
+		checkType( params, 'maxzoom', 'zoom', 22 );
+		// metrics prefix, e.g. metatile.render, metatile.hit
+		checkType( params, 'metrics', 'string', 'metatile' );
+		self.params = params;
+		// metatile renders in progress, keyed by _getKey()
+		self.pending = new Map();
+		return Promise.all( [
+			core.loadSource( params.source ),
+			params.cache && core.loadSource( params.cache )
+		] );
+	} ).spread( ( source, cache ) => {
+		self.renderer = getRenderer( source );
+		self.source = uptile( source );
+		if ( cache ) {
+			if ( !cache.putAsync ) {
+				throw new Err( 'Cache source of metatile does not support putAsync()' );
+			}
+			self.cache = uptile( cache );
+		}
+		return self;
+	} ).nodeify( callback );
+}
+
+Metatile.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+
+	if (
+		( opts.type !== undefined && opts.type !== 'tile' ) ||
+		!imageFormatRe.test( opts.format ) ||
+		opts.z < self.params.minzoom || opts.z > self.params.maxzoom
+	) {
+		return self.source.getAsync( opts );
+	}
+
+	if ( !self.cache ) {
+		return self._getBlockTileAsync( opts );
+	}
+	return self.cache.getAsync( opts ).then( ( res ) => {
+		core.metrics.increment( `${self.params.metrics}.hit` );
+		return res;
+	}, ( err ) => {
+		if ( !Err.isNoTileError( err ) ) {
+			throw err;
+		}
+		return self._getBlockTileAsync( opts );
+	} );
+} );
+
+/**
+ * Get the tile from its block, sharing a single render among all concurrent requests
+ * for the tiles of the same block
+ *
+ * @param {Object} opts tile options
+ * @return {Promise<Object>}
+ * @private
+ */
+Metatile.prototype._getBlockTileAsync = function _getBlockTileAsync( opts ) {
+	const self = this;
+	// low zooms have fewer tiles than a block
+	const size = Math.min( self.params.size, Math.pow( 2, opts.z ) );
+	const block = {
+		z: opts.z,
+		x: Math.floor( opts.x / size ) * size,
+		y: Math.floor( opts.y / size ) * size,
+		size
+	};
+	const key = self._getKey( block, opts );
+
+	let pending = self.pending.get( key );
+	if ( pending ) {
+		core.metrics.increment( `${self.params.metrics}.coalesced` );
+	} else {
+		core.metrics.increment( `${self.params.metrics}.render` );
+		pending = self._renderAsync( block, opts ).tap( ( tiles ) => self.cache &&
+			Promise.map( tiles, ( tile ) => self.cache.putAsync(
+				Object.assign( {}, opts, { x: tile.x, y: tile.y } ),
+				{ data: tile.data, headers: tile.headers }
+			// on error, log and ignore
+			).catch( ( err ) => core.log( 'error', err ) ) )
+		).finally( () => self.pending.delete( key ) );
+		self.pending.set( key, pending );
+	}
+
+	return pending.then( ( tiles ) => {
+		const tile = tiles.find( ( t ) => t.x === opts.x && t.y === opts.y );
+		return { data: tile.data, headers: Object.assign( {}, tile.headers ) };
+	} );
+};
+
+/**
+ * @param {Object} block z, x, y of the top left tile of the block
+ * @param {Object} opts tile options
+ * @return {string}
+ * @private
+ */
+Metatile.prototype._getKey = function _getKey( block, opts ) {
+	return JSON.stringify( [ block.z, block.x, block.y, opts.format, opts.scale, opts.lang ] );
+};
+
+/**
+ * Render the whole block as one image, and slice it into the encoded tiles.
+ * The vector tiles of the block are composited into a single vector tile of the lower zoom
+ * that covers the same area, and rendered with the style of the tmstyle:// source.
+ *
+ * @param {Object} block z, x, y of the top left tile of the block, and its size in tiles
+ * @param {Object} opts tile options
+ * @return {Promise<Object[]>} x, y, data, and headers of each tile of the block
+ * @private
+ */
+Metatile.prototype._renderAsync = function _renderAsync( block, opts ) {
+	const self = this;
+	const { mapnik } = core;
+	const renderer = self.renderer;
+	const scale = opts.scale || renderer.scale;
+	const tileSize = Math.round( 256 * scale );
+	const zoomOut = Math.log2( block.size );
+	const bz = block.z - zoomOut;
+	const bx = block.x / block.size;
+	const by = block.y / block.size;
+	const coords = [];
+	for ( let dy = 0; dy < block.size; dy++ ) {
+		for ( let dx = 0; dx < block.size; dx++ ) {
+			coords.push( { x: block.x + dx, y: block.y + dy } );
+		}
+	}
+
+	let lastModified = 0;
+	return Promise.map( coords, ( xy ) => renderer.backend.getAsync( Object.assign( {}, opts, xy, {
+		scale, legacy: false, upgrade: false
+	} ) ).then( ( res ) => {
+		const modified = res.headers && Date.parse( res.headers[ 'Last-Modified' ] );
+		lastModified = Math.max( lastModified, modified || 0 );
+		return res.data;
+	}, ( err ) => {
+		if ( !Err.isNoTileError( err ) ) {
+			throw err;
+		}
+		return undefined;
+	} ) ).then( ( vtiles ) => {
+		const vtile = new mapnik.VectorTile( bz, bx, by, { tile_size: 4096 * block.size } );
+		return vtile.compositeAsync( vtiles.filter( ( t ) => t ) );
+	} ).then( ( vtile ) => vtile.renderAsync(
+		renderer.map,
+		new mapnik.Image( tileSize * block.size, tileSize * block.size ),
+		{ z: bz, x: bx, y: by, scale, buffer_size: 256 * scale }
+	) ).then( ( image ) => {
+		const headers = {
+			'Content-Type': encoding.contentTypes[ opts.format.match( imageFormatRe )[ 1 ] ]
+		};
+		if ( lastModified > 0 ) {
+			headers[ 'Last-Modified' ] = new Date( lastModified ).toUTCString();
+		}
+		return Promise.map( coords, ( xy ) => {
+			const view = image.view(
+				( xy.x - block.x ) * tileSize, ( xy.y - block.y ) * tileSize, tileSize, tileSize
+			);
+			return Promise.fromCallback( ( cb ) => view.encode( opts.format, {}, cb ) )
+				.then( ( data ) => ( { x: xy.x, y: xy.y, data, headers } ) );
+		} );
+	} );
+};
+
+Metatile.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'metatile:' ] = Metatile;
+};
+
+module.exports = Metatile;
@@ -0,0 +1,389 @@
+/*
+ PMTiles is a tile source that reads tiles from a local PMTiles v3 single-file archive.
+ See https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const pathLib = require( 'path' );
+const fs = require( 'fs' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const uptile = require( 'tilelive-promise' );
+
+Promise.promisifyAll( fs );
+
+let core;
+
+const headerSize = 127;
+const maxDirectoryDepth = 3;
+
+// Compression enum values
+const Compression = {
+	unknown: 0,
+	none: 1,
+	gzip: 2
+};
+
+// Tile type enum values -> [ tilejson format, content type ]
+const tileTypes = {
+	1: [ 'pbf', 'application/x-protobuf' ],
+	2: [ 'png', 'image/png' ],
+	3: [ 'jpeg', 'image/jpeg' ],
+	4: [ 'webp', 'image/webp' ],
+	5: [ 'avif', 'image/avif' ]
+};
+
+/**
+ * Read unsigned 64bit little-endian integer, precise up to 2^53
+ *
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @return {number}
+ */
+function readUInt64( buf, pos ) {
+	return buf.readUInt32LE( pos + 4 ) * 0x100000000 + buf.readUInt32LE( pos );
+}
+
+/**
+ * @param {Buffer} buf
+ * @return {Object}
+ */
+function parseHeader( buf ) {
+	if ( buf.length < headerSize || buf.toString( 'latin1', 0, 7 ) !== 'PMTiles' ) {
+		throw new Err( 'File is not a PMTiles archive' );
+	}
+	if ( buf[ 7 ] !== 3 ) {
+		throw new Err( 'PMTiles version %d is not supported, only version 3 is', buf[ 7 ] );
+	}
+	return {
+		rootDirectoryOffset: readUInt64( buf, 8 ),
+		rootDirectoryLength: readUInt64( buf, 16 ),
+		jsonMetadataOffset: readUInt64( buf, 24 ),
+		jsonMetadataLength: readUInt64( buf, 32 ),
+		leafDirectoryOffset: readUInt64( buf, 40 ),
+		leafDirectoryLength: readUInt64( buf, 48 ),
+		tileDataOffset: readUInt64( buf, 56 ),
+		tileDataLength: readUInt64( buf, 64 ),
+		clustered: buf[ 96 ] === 1,
+		internalCompression: buf[ 97 ],
+		tileCompression: buf[ 98 ],
+		tileType: buf[ 99 ],
+		minZoom: buf[ 100 ],
+		maxZoom: buf[ 101 ],
+		minLon: buf.readInt32LE( 102 ) / 1e7,
+		minLat: buf.readInt32LE( 106 ) / 1e7,
+		maxLon: buf.readInt32LE( 110 ) / 1e7,
+		maxLat: buf.readInt32LE( 114 ) / 1e7,
+		centerZoom: buf[ 118 ],
+		centerLon: buf.readInt32LE( 119 ) / 1e7,
+		centerLat: buf.readInt32LE( 123 ) / 1e7
+	};
+}
+
+/**
+ * Decode a directory into a list of entries, sorted by tileId
+ *
+ * @param {Buffer} buf uncompressed directory
+ * @return {Object[]}
+ */
+function parseDirectory( buf ) {
+	let pos = 0;
+	const readVarint = () => {
+		let result = 0;
+		let mult = 1;
+		let byte;
+		do {
+			if ( pos >= buf.length ) {
+				throw new Err( 'Broken PMTiles directory' );
+			}
+			byte = buf[ pos++ ];
+			result += ( byte % 0x80 ) * mult;
+			mult *= 0x80;
+		} while ( byte >= 0x80 );
+		return result;
+	};
+
+	const count = readVarint();
+	const entries = new Array( count );
+	let lastId = 0;
+	for ( let i = 0; i < count; i++ ) {
+		lastId += readVarint();
+		entries[ i ] = { tileId: lastId, offset: 0, length: 0, runLength: 1 };
+	}
+	for ( let i = 0; i < count; i++ ) {
+		entries[ i ].runLength = readVarint();
+	}
+	for ( let i = 0; i < count; i++ ) {
+		entries[ i ].length = readVarint();
+	}
+	for ( let i = 0; i < count; i++ ) {
+		const value = readVarint();
+		if ( value === 0 && i > 0 ) {
+			entries[ i ].offset = entries[ i - 1 ].offset + entries[ i - 1 ].length;
+		} else {
+			entries[ i ].offset = value - 1;
+		}
+	}
+	return entries;
+}
+
+/**
+ * Find the directory entry containing the tile, or undefined
+ *
+ * @param {Object[]} entries
+ * @param {number} tileId
+ * @return {Object|undefined}
+ */
+function findEntry( entries, tileId ) {
+	let low = 0;
+	let high = entries.length - 1;
+	while ( low <= high ) {
+		const mid = Math.floor( ( low + high ) / 2 );
+		const diff = tileId - entries[ mid ].tileId;
+		if ( diff > 0 ) {
+			low = mid + 1;
+		} else if ( diff < 0 ) {
+			high = mid - 1;
+		} else {
+			return entries[ mid ];
+		}
+	}
+	// high is now the last entry with tileId less than the requested one
+	if ( high >= 0 ) {
+		const entry = entries[ high ];
+		if ( entry.runLength === 0 || tileId - entry.tileId < entry.runLength ) {
+			return entry;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Convert z/x/y into the PMTiles tile ID (position on the Hilbert curve, with all
+ * lower zoom tiles before it)
+ *
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @return {number}
+ */
+function zxyToTileId( z, x, y ) {
+	const n = Math.pow( 2, z );
+	if ( z > 26 || x < 0 || y < 0 || x >= n || y >= n ) {
+		throw new Err( 'Tile %d/%d/%d is out of bounds', z, x, y );
+	}
+	let id = ( Math.pow( 4, z ) - 1 ) / 3;
+	for ( let s = n / 2; s >= 1; s /= 2 ) {
+		const rx = Math.floor( x / s ) % 2;
+		const ry = Math.floor( y / s ) % 2;
+		// quadrant order along the curve: (0,0), (0,1), (1,1), (1,0)
+		id += s * s * ( rx ? 3 - ry : ry );
+		if ( ry === 0 ) {
+			if ( rx === 1 ) {
+				x = n - 1 - x;
+				y = n - 1 - y;
+			}
+			const t = x;
+			x = y;
+			y = t;
+		}
+	}
+	return id;
+}
+
+function PMTiles( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		uri = checkType.normalizeUrl( uri );
+		const file = uri.host ? uri.host + ( uri.pathname || '' ) : uri.pathname;
+		if ( !file || file === '/' ) {
+			throw new Err( 'pmtiles:// requires a file, e.g. pmtiles:///srv/data/planet.pmtiles' );
+		}
+		// max number of leaf directories to keep in memory
+		checkType( uri.query, 'dircache', 'integer', 64, 0 );
+		self.dirCacheSize = uri.query.dircache;
+		self.dirCache = new Map();
+		self.filename = pathLib.resolve( core.getAppRootDir(), decodeURIComponent( file ) );
+		return fs.openAsync( self.filename, 'r' );
+	} ).then( ( fd ) => {
+		self.fd = fd;
+		return self._readAsync( 0, headerSize );
+	} ).then( ( buf ) => {
+		self.header = parseHeader( buf );
+		const { internalCompression, tileCompression } = self.header;
+		if ( internalCompression !== Compression.none &&
+			internalCompression !== Compression.gzip
+		) {
+			throw new Err( 'PMTiles directory compression %d is not supported', internalCompression );
+		}
+		if ( tileCompression !== Compression.none && tileCompression !== Compression.gzip &&
+			tileCompression !== Compression.unknown
+		) {
+			throw new Err( 'PMTiles tile compression %d is not supported', tileCompression );
+		}
+		return self._readDirectoryAsync(
+			self.header.rootDirectoryOffset, self.header.rootDirectoryLength
+		);
+	} ).then( ( root ) => {
+		self.rootDirectory = root;
+		return self;
+	} ).nodeify( callback );
+}
+
+PMTiles.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+
+	switch ( opts.type ) {
+		case undefined:
+		case 'tile':
+			return self._getTileAsync( opts.z, opts.x, opts.y );
+		case 'info':
+			return self._getInfoAsync().then( ( data ) => ( { data } ) );
+		default:
+			throw new Err( 'Unknown type %j', opts.type );
+	}
+} );
+
+PMTiles.prototype.close = function close( callback ) {
+	fs.closeAsync( this.fd ).nodeify( callback );
+};
+
+/**
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @return {Promise}
+ * @private
+ */
+PMTiles.prototype._getTileAsync = function _getTileAsync( z, x, y ) {
+	const self = this;
+	const { header } = self;
+	if ( z < header.minZoom || z > header.maxZoom ) {
+		Err.throwNoTile();
+	}
+	const tileId = zxyToTileId( z, x, y );
+
+	const findTile = ( entries, depth ) => {
+		const entry = findEntry( entries, tileId );
+		if ( !entry ) {
+			return Err.throwNoTile();
+		}
+		if ( entry.runLength > 0 ) {
+			return self._readAsync( header.tileDataOffset + entry.offset, entry.length );
+		}
+		if ( depth >= maxDirectoryDepth ) {
+			throw new Err( 'PMTiles directories are nested too deep' );
+		}
+		return self._getLeafDirectoryAsync( entry.offset, entry.length )
+			.then( ( leaf ) => findTile( leaf, depth + 1 ) );
+	};
+
+	return findTile( self.rootDirectory, 0 ).then( ( data ) => {
+		const headers = {};
+		const tileType = tileTypes[ header.tileType ];
+		if ( tileType ) {
+			headers[ 'Content-Type' ] = tileType[ 1 ];
+		}
+		if ( header.tileCompression === Compression.gzip ) {
+			headers[ 'Content-Encoding' ] = 'gzip';
+		}
+		return { data, headers };
+	} );
+};
+
+/**
+ * @param {number} offset relative to the leaf directories section
+ * @param {number} length
+ * @return {Promise<Object[]>}
+ * @private
+ */
+PMTiles.prototype._getLeafDirectoryAsync = function _getLeafDirectoryAsync( offset, length ) {
+	const self = this;
+	let entries = self.dirCache.get( offset );
+	if ( entries ) {
+		// Map preserves insertion order - re-inserting marks it as recently used
+		self.dirCache.delete( offset );
+		self.dirCache.set( offset, entries );
+		return Promise.resolve( entries );
+	}
+	entries = self._readDirectoryAsync( self.header.leafDirectoryOffset + offset, length );
+	if ( self.dirCacheSize > 0 ) {
+		self.dirCache.set( offset, entries );
+		if ( self.dirCache.size > self.dirCacheSize ) {
+			self.dirCache.delete( self.dirCache.keys().next().value );
+		}
+		// do not keep failed reads in cache
+		entries.catch( () => self.dirCache.delete( offset ) );
+	}
+	return entries;
+};
+
+/**
+ * @param {number} offset
+ * @param {number} length
+ * @return {Promise<Object[]>}
+ * @private
+ */
+PMTiles.prototype._readDirectoryAsync = function _readDirectoryAsync( offset, length ) {
+	return this._readAsync( offset, length )
+		.then( ( buf ) => core.uncompressAsync( buf ) )
+		.then( parseDirectory );
+};
+
+/**
+ * @return {Promise<Object>} tilejson
+ * @private
+ */
+PMTiles.prototype._getInfoAsync = function _getInfoAsync() {
+	const self = this;
+	const { header } = self;
+	if ( !self.info ) {
+		self.info = Promise.try( () => {
+			if ( !header.jsonMetadataLength ) {
+				return {};
+			}
+			return self._readAsync( header.jsonMetadataOffset, header.jsonMetadataLength )
+				.then( ( buf ) => core.uncompressAsync( buf ) )
+				.then( ( buf ) => JSON.parse( buf.toString() ) );
+		} ).then( ( metadata ) => {
+			const info = Object.assign( {}, metadata, {
+				minzoom: header.minZoom,
+				maxzoom: header.maxZoom,
+				bounds: [ header.minLon, header.minLat, header.maxLon, header.maxLat ],
+				center: [ header.centerLon, header.centerLat, header.centerZoom ]
+			} );
+			if ( tileTypes[ header.tileType ] ) {
+				info.format = tileTypes[ header.tileType ][ 0 ];
+			}
+			return info;
+		} );
+	}
+	return self.info;
+};
+
+/**
+ * @param {number} position
+ * @param {number} length
+ * @return {Promise<Buffer>}
+ * @private
+ */
+PMTiles.prototype._readAsync = function _readAsync( position, length ) {
+	const buf = Buffer.alloc( length );
+	return fs.readAsync( this.fd, buf, 0, length, position ).then( ( bytesRead ) => {
+		if ( bytesRead !== length ) {
+			throw new Err( 'Unexpected end of PMTiles file %s', this.filename );
+		}
+		return buf;
+	} );
+};
+
+PMTiles.zxyToTileId = zxyToTileId;
+
+PMTiles.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'pmtiles:' ] = PMTiles;
+};
+
+module.exports = PMTiles;
@@ -0,0 +1,209 @@
+/*
+ PostGis is a tile source that generates multi-layer vector tiles directly from a PostGIS
+ database with ST_AsMVT(). Each layer is defined by its own SQL query. Tiles are returned
+ as gzipped PBFs.
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const _ = require( 'underscore' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const uptile = require( 'tilelive-promise' );
+const postgres = require( 'pg-promise' )( { promiseLib: Promise } );
+
+let core;
+
+// Sources using the same connection settings share one database object and connection pool
+const databases = new Map();
+
+// Half of the Web Mercator (EPSG:3857) world size, in meters
+const worldHalfSize = 20037508.342789244;
+
+/**
+ * Get the Web Mercator bounds of a tile, optionally extended by a buffer
+ *
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [margin] the size of the extra margin, as a fraction of the tile size
+ * @return {number[]} [xmin, ymin, xmax, ymax]
+ */
+function tileBounds( z, x, y, margin ) {
+	const size = worldHalfSize * 2 / Math.pow( 2, z );
+	const extra = size * ( margin || 0 );
+	return [
+		-worldHalfSize + x * size - extra,
+		worldHalfSize - ( y + 1 ) * size - extra,
+		-worldHalfSize + ( x + 1 ) * size + extra,
+		worldHalfSize - y * size + extra
+	];
+}
+
+/**
+ * @param {number[]} bounds
+ * @return {string} SQL expression of the bounds envelope in EPSG:3857
+ */
+function envelopeSql( bounds ) {
+	return `ST_MakeEnvelope(${bounds.join( ', ' )}, 3857)`;
+}
+
+function PostGis( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		const params = checkType.normalizeUrl( uri ).query;
+		if ( !params.database || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test( params.database ) ) {
+			throw new Err( "Uri must include a valid 'database' query parameter: %j", uri );
+		}
+		checkType( params, 'host', 'string', 'localhost' );
+		checkType( params, 'port', 'integer', 5432, 1 );
+		checkType( params, 'user', 'string' );
+		checkType( params, 'password', 'string' );
+		checkType( params, 'poolSize', 'integer', 10, 1 );
+		checkType( params, 'minzoom', 'zoom', 0 );
+		checkType( params, 'maxzoom', 'zoom', 14 );
+		// tile extent, and the buffer around the tile, in extent units
+		checkType( params, 'extent', 'integer', 4096, 256 );
+		checkType( params, 'buffer', 'integer', 64, 0 );
+		checkType( params, 'layers', 'object', true );
+
+		self.params = params;
+		self.layers = _.map( params.layers, ( layer, name ) => self._parseLayer( layer, name ) );
+		if ( self.layers.length === 0 ) {
+			throw new Err( 'postgis:// requires at least one layer' );
+		}
+
+		const connection = {
+			host: params.host,
+			port: params.port,
+			database: params.database,
+			user: params.user,
+			password: params.password,
+			application_name: 'kartotherian',
+			poolSize: params.poolSize
+		};
+		const dbKey = JSON.stringify( connection );
+		if ( !databases.has( dbKey ) ) {
+			databases.set( dbKey, postgres( connection ) );
+		}
+		self.db = databases.get( dbKey );
+
+		self.info = {
+			format: 'pbf',
+			minzoom: params.minzoom,
+			maxzoom: params.maxzoom,
+			vector_layers: self.layers.map( ( layer ) => ( {
+				id: layer.name,
+				minzoom: layer.minzoom,
+				maxzoom: layer.maxzoom,
+				fields: layer.fields
+			} ) )
+		};
+		return self;
+	} ).nodeify( callback );
+}
+
+/**
+ * Validate layer configuration - either an SQL string, or an object with the sql and
+ * optional geometry, srid, minzoom, maxzoom, buffer, and fields values
+ *
+ * @param {string|Object} layer
+ * @param {string} name
+ * @return {Object}
+ * @private
+ */
+PostGis.prototype._parseLayer = function _parseLayer( layer, name ) {
+	const result = typeof layer === 'string' ? { sql: layer } : Object.assign( {}, layer );
+	result.name = name;
+	checkType( result, 'sql', 'string', true, 1 );
+	// the geometry column returned by the query, and its SRID
+	checkType( result, 'geometry', 'string', 'geom', 1 );
+	checkType( result, 'srid', 'integer', 3857, 1 );
+	checkType( result, 'minzoom', 'zoom', this.params.minzoom );
+	checkType( result, 'maxzoom', 'zoom', this.params.maxzoom );
+	checkType( result, 'buffer', 'integer', this.params.buffer, 0 );
+	// field descriptions for the vector_layers info, e.g. {name: 'String'}
+	checkType( result, 'fields', 'object', {} );
+	return result;
+};
+
+PostGis.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+
+	switch ( opts.type ) {
+		case undefined:
+		case 'tile':
+			break;
+		case 'info':
+			return { data: self.info };
+		default:
+			throw new Err( 'Unknown type %j', opts.type );
+	}
+
+	const sql = self._buildQuery( opts.z, opts.x, opts.y );
+	if ( !sql ) {
+		Err.throwNoTile();
+	}
+	return self.db.one( sql ).then( ( row ) => {
+		if ( !row.mvt || row.mvt.length === 0 ) {
+			Err.throwNoTile();
+		}
+		return core.compressPbfAsync( {
+			data: row.mvt,
+			headers: { 'Content-Type': 'application/x-protobuf' }
+		} );
+	} );
+} );
+
+/**
+ * Build a single query that returns all layers of the tile, concatenated into one MVT,
+ * or undefined if no layers are visible at this zoom.
+ * Layer queries may use these placeholders:
+ *   !bbox!  - tile envelope extended by the layer's buffer, in the layer's SRID
+ *   !zoom! (or !z!), !x!, !y! - tile coordinates
+ *   !pixel_width! - size of one pixel of a 256px tile, in Web Mercator meters
+ *
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @return {string|undefined}
+ * @private
+ */
+PostGis.prototype._buildQuery = function _buildQuery( z, x, y ) {
+	const extent = this.params.extent;
+	const tileEnv = envelopeSql( tileBounds( z, x, y ) );
+	const pixelWidth = worldHalfSize * 2 / Math.pow( 2, z ) / 256;
+
+	const parts = this.layers
+		.filter( ( layer ) => z >= layer.minzoom && z <= layer.maxzoom )
+		.map( ( layer ) => {
+			let bbox = envelopeSql( tileBounds( z, x, y, layer.buffer / extent ) );
+			let geom = `q.${postgres.as.name( layer.geometry )}`;
+			if ( layer.srid !== 3857 ) {
+				bbox = `ST_Transform(${bbox}, ${layer.srid})`;
+				geom = `ST_Transform(${geom}, 3857)`;
+			}
+			const sql = layer.sql
+				.replace( /!bbox!/gi, bbox )
+				.replace( /!(zoom|z)!/gi, z.toString() )
+				.replace( /!x!/gi, x.toString() )
+				.replace( /!y!/gi, y.toString() )
+				.replace( /!pixel_width!/gi, pixelWidth.toString() );
+			// All columns except the geometry become feature properties
+			return 'COALESCE((SELECT ST_AsMVT(t, ' +
+				`${postgres.as.text( layer.name )}, ${extent}, 'mvtgeom') FROM (` +
+				`SELECT ST_AsMVTGeom(${geom}, ${tileEnv}, ${extent}, ${layer.buffer}, true) AS mvtgeom, ` +
+				`to_jsonb(q) - ${postgres.as.text( layer.geometry )} AS props ` +
+				`FROM (${sql}) q) t WHERE t.mvtgeom IS NOT NULL), ''::bytea)`;
+		} );
+
+	return parts.length ? `SELECT ${parts.join( ' || ' )} AS mvt` : undefined;
+};
+
+PostGis.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'postgis:' ] = PostGis;
+};
+
+module.exports = PostGis;
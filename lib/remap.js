@@ -0,0 +1,327 @@
+/*
+ Remap is a vector tile source wrapper that converts tiles of another source to a different
+ schema - renames layers and attribute keys, maps attribute values, merges multiple layers
+ into one, or splits one layer into several, e.g. to show OpenMapTiles schema tiles
+ with a style made for a different schema.
+ */
+'use strict';
+
+const Promise = require( 'bluebird' );
+const _ = require( 'underscore' );
+const fs = require( 'fs' );
+const pathLib = require( 'path' );
+const yaml = require( 'js-yaml' );
+const Err = require( './err' );
+const checkType = require( './input-validator' );
+const tileCodec = require( './babel/tileCodec' );
+const Filter = require( './filter' );
+const uptile = require( 'tilelive-promise' );
+
+let core;
+
+/**
+ * Convert a JavaScript value into a vector tile value object
+ *
+ * @param {string|number|boolean} value
+ * @return {Object} {tag, value}
+ */
+function toTileValue( value ) {
+	switch ( typeof value ) {
+		case 'boolean':
+			return { tag: 7, value };
+		case 'number':
+			if ( !Number.isInteger( value ) ) {
+				return { tag: 3, value };
+			}
+			return value < 0 ? { tag: 6, value } : { tag: 5, value };
+		default:
+			return { tag: 1, value: String( value ) };
+	}
+}
+
+/**
+ * Get the type of the value for the vector_layers fields
+ *
+ * @param {*} value
+ * @return {string}
+ */
+function fieldType( value ) {
+	switch ( typeof value ) {
+		case 'boolean':
+			return 'Boolean';
+		case 'number':
+			return 'Number';
+		default:
+			return 'String';
+	}
+}
+
+/**
+ * Validate configuration of one resulting layer
+ *
+ * @param {Object|null} spec
+ * @param {string} name
+ * @return {Object}
+ */
+function parseLayer( spec, name ) {
+	const layer = Object.assign( {}, spec );
+	layer.name = name;
+	// source layer(s) to take the features from, several layers are merged into one
+	checkType( layer, 'from', 'string-array', [ name ] );
+	// only take features matching these conditions, same as in the filter:// source
+	if ( layer.where !== undefined ) {
+		layer.where = Filter.parseWhere( layer.where );
+	}
+	// {sourceKey: newKey}, or {sourceKey: null} to remove the attribute
+	checkType( layer, 'rename', 'object', {} );
+	// {newKey: {sourceValue: newValue}}, or null as the new value to remove the attribute
+	checkType( layer, 'values', 'object', {} );
+	// constant attributes to add to all features, e.g. {class: poi}
+	checkType( layer, 'set', 'object', {} );
+	// if set, remove all other attributes (after renaming)
+	checkType( layer, 'keepKeys', 'string-array' );
+	return layer;
+}
+
+function Remap( uri, callback ) {
+	let self = this;
+	return Promise.try( () => {
+		self = uptile( self );
+		const params = checkType.normalizeUrl( uri ).query;
+		if ( !params.source ) {
+			throw new Err( "Uri must include 'source' query parameter: %j", uri );
+		}
+		// either the mapping object, or a YAML/JSON file name, relative to the app root dir
+		let mapping = params.mapping;
+		if ( typeof mapping === 'string' ) {
+			const file = pathLib.resolve( core.getAppRootDir(), mapping );
+			mapping = yaml.safeLoad( fs.readFileSync( file, 'utf8' ) );
+		}
+		if ( !mapping || typeof mapping !== 'object' || typeof mapping.layers !== 'object' ) {
+			throw new Err( 'remap:// requires a mapping with the "layers" object' );
+		}
+		// keep the source layers that are not used by any of the mapped layers
+		checkType( params, 'keepUnmapped', 'boolean' );
+		self.params = params;
+		self.layers = _.map( mapping.layers, parseLayer );
+		self.usedLayers = new Set( _.flatten( _.pluck( self.layers, 'from' ) ) );
+		return core.loadSource( params.source );
+	} ).then( ( source ) => {
+		self.source = uptile( source );
+		return self;
+	} ).nodeify( callback );
+}
+
+Remap.prototype.getAsync = Promise.method( function getAsync( opts ) {
+	const self = this;
+
+	switch ( opts.type ) {
+		case undefined:
+		case 'tile':
+			break;
+		case 'info':
+			return self.source.getAsync( opts ).then( ( res ) => {
+				res.data = Object.assign( {}, res.data );
+				res.data.vector_layers = self._remapVectorLayers( res.data.vector_layers || [] );
+				return res;
+			} );
+		default:
+			return self.source.getAsync( opts );
+	}
+
+	let res;
+	return self.source.getAsync( opts ).then( ( result ) => {
+		res = result;
+		return core.uncompressAsync( res.data, res.headers );
+	} ).then( ( data ) => {
+		const tile = tileCodec.decodeTile( data );
+		tile.layers = self._remapLayers( tile.layers );
+		if ( tile.layers.length === 0 ) {
+			Err.throwNoTile();
+		}
+		res.data = tileCodec.encodeTile( tile );
+		return core.compressPbfAsync( res );
+	} );
+} );
+
+/**
+ * Build the new list of layers out of the decoded source layers
+ *
+ * @param {Object[]} sourceLayers
+ * @return {Object[]}
+ * @private
+ */
+Remap.prototype._remapLayers = function _remapLayers( sourceLayers ) {
+	const byName = _.indexBy( sourceLayers, 'name' );
+	const result = [];
+
+	for ( const spec of this.layers ) {
+		const layers = _.compact( spec.from.map( ( name ) => byName[ name ] ) );
+		if ( layers.length === 0 ) {
+			continue;
+		}
+		const newLayer = {
+			name: spec.name,
+			version: layers[ 0 ].version,
+			extent: layers[ 0 ].extent,
+			keys: [],
+			values: [],
+			features: []
+		};
+		const keysLookup = {};
+		// One for each data type like STRING, FLOAT, ... (7 total)
+		const valuesLookup = [ {}, {}, {}, {}, {}, {}, {} ];
+		const addValue = ( key, value, tags ) => {
+			let keyInd = keysLookup[ key ];
+			if ( keyInd === undefined ) {
+				keyInd = keysLookup[ key ] = newLayer.keys.push( key ) - 1;
+			}
+			let valueInd = valuesLookup[ value.tag - 1 ][ value.value ];
+			if ( valueInd === undefined ) {
+				valueInd = valuesLookup[ value.tag - 1 ][ value.value ] =
+					newLayer.values.push( value ) - 1;
+			}
+			tags.push( keyInd, valueInd );
+		};
+
+		for ( const layer of layers ) {
+			if ( ( layer.extent || 4096 ) !== ( newLayer.extent || 4096 ) ) {
+				throw new Err( 'Unable to merge layer %j with a different extent', layer.name );
+			}
+			for ( const feature of layer.features ) {
+				const tags = this._remapFeature( spec, layer, feature, addValue );
+				if ( tags ) {
+					newLayer.features.push( Object.assign( {}, feature, { tags } ) );
+				}
+			}
+		}
+		if ( newLayer.features.length > 0 ) {
+			result.push( newLayer );
+		}
+	}
+
+	if ( this.params.keepUnmapped ) {
+		const names = new Set( _.pluck( result, 'name' ) );
+		for ( const layer of sourceLayers ) {
+			if ( !this.usedLayers.has( layer.name ) && !names.has( layer.name ) ) {
+				result.push( layer );
+			}
+		}
+	}
+	return result;
+};
+
+/**
+ * Convert feature's tags according to the layer spec
+ *
+ * @param {Object} spec
+ * @param {Object} layer source layer
+ * @param {Object} feature source feature
+ * @param {Function} addValue
+ * @return {number[]|undefined} new tags, or undefined if the feature does not match
+ * @private
+ */
+Remap.prototype._remapFeature = function _remapFeature( spec, layer, feature, addValue ) {
+	const tags = feature.tags || [];
+	const attrs = {};
+	for ( let ind = 0; ind < tags.length; ind += 2 ) {
+		attrs[ layer.keys[ tags[ ind ] ] ] = layer.values[ tags[ ind + 1 ] ];
+	}
+	if ( spec.where &&
+		!Filter.matchesWhere( spec.where, _.mapObject( attrs, ( v ) => v.value ) )
+	) {
+		return undefined;
+	}
+
+	const newTags = [];
+	const added = new Set();
+	const add = ( key, value ) => {
+		if ( added.has( key ) ) {
+			return;
+		}
+		const valueMap = spec.values[ key ];
+		if ( valueMap && Object.prototype.hasOwnProperty.call( valueMap, value.value ) ) {
+			if ( valueMap[ value.value ] === null ) {
+				return;
+			}
+			value = toTileValue( valueMap[ value.value ] );
+		}
+		if ( !spec.keepKeys || spec.keepKeys.includes( key ) ) {
+			added.add( key );
+			addValue( key, value, newTags );
+		}
+	};
+
+	// constant values take precedence over the renamed ones
+	_.each( spec.set, ( value, key ) => add( key, toTileValue( value ) ) );
+	_.each( attrs, ( value, key ) => {
+		if ( Object.prototype.hasOwnProperty.call( spec.rename, key ) ) {
+			key = spec.rename[ key ];
+			if ( key === null ) {
+				return;
+			}
+		}
+		add( key, value );
+	} );
+	return newTags;
+};
+
+/**
+ * Convert the source's vector_layers info the same way as the tile layers
+ *
+ * @param {Object[]} sourceLayers
+ * @return {Object[]}
+ * @private
+ */
+Remap.prototype._remapVectorLayers = function _remapVectorLayers( sourceLayers ) {
+	const byName = _.indexBy( sourceLayers, 'id' );
+	const result = [];
+	for ( const spec of this.layers ) {
+		const layers = _.compact( spec.from.map( ( name ) => byName[ name ] ) );
+		if ( layers.length === 0 ) {
+			continue;
+		}
+		const fields = {};
+		_.each( spec.set, ( value, key ) => {
+			fields[ key ] = fieldType( value );
+		} );
+		for ( const layer of layers ) {
+			_.each( layer.fields, ( type, key ) => {
+				if ( Object.prototype.hasOwnProperty.call( spec.rename, key ) ) {
+					key = spec.rename[ key ];
+				}
+				if ( key !== null && !fields[ key ] &&
+					( !spec.keepKeys || spec.keepKeys.includes( key ) )
+				) {
+					fields[ key ] = type;
+				}
+			} );
+		}
+		const vectorLayer = { id: spec.name, fields };
+		const minzooms = _.pluck( layers, 'minzoom' ).filter( ( v ) => v !== undefined );
+		const maxzooms = _.pluck( layers, 'maxzoom' ).filter( ( v ) => v !== undefined );
+		if ( minzooms.length ) {
+			vectorLayer.minzoom = Math.min( ...minzooms );
+		}
+		if ( maxzooms.length ) {
+			vectorLayer.maxzoom = Math.max( ...maxzooms );
+		}
+		result.push( vectorLayer );
+	}
+	if ( this.params.keepUnmapped ) {
+		const names = new Set( _.pluck( result, 'id' ) );
+		for ( const layer of sourceLayers ) {
+			if ( !this.usedLayers.has( layer.id ) && !names.has( layer.id ) ) {
+				result.push( layer );
+			}
+		}
+	}
+	return result;
+};
+
+Remap.initKartotherian = function initKartotherian( cor ) {
+	core = cor;
+	core.tilelive.protocols[ 'remap:' ] = Remap;
+};
+
+module.exports = Remap;
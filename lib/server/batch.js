@@ -0,0 +1,157 @@
+'use strict';
+
+const crypto = require( 'crypto' );
+const _ = require( 'underscore' );
+const Promise = require( 'bluebird' );
+const Err = require( '../err' );
+const tiles = require( './tiles' );
+
+let core;
+
+/**
+ * Maximum number of tiles in one request, unless set by the maxBatchTiles configuration value
+ *
+ * @type {number}
+ */
+const defaultMaxTiles = 100;
+
+/**
+ * Number of tiles of one request that are rendered at the same time
+ *
+ * @type {number}
+ */
+const concurrency = 4;
+
+const tileFields = [ 'src', 'z', 'x', 'y', 'format', 'scale' ];
+
+/**
+ * @param {Object} params tile params
+ * @param {string} [lang]
+ * @return {string} url of the same tile at the regular tile route
+ */
+function getTileLocation( params, lang ) {
+	const scale = params.scale ? `@${params.scale}x` : '';
+	const query = lang ? `?lang=${encodeURIComponent( lang )}` : '';
+	return `/${params.src}/${params.z}/${params.x}/${params.y}${scale}.${params.format}${query}`;
+}
+
+/**
+ * Get one tile of the batch, or the problem+json description of its error
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Object} entry requested tile - src, z, x, y, format, and optional scale and lang
+ * @return {Promise<{status: number, headers: Object, data: Buffer|string}>}
+ */
+function getEntryAsync( req, res, entry ) {
+	let deadline;
+	let params = {};
+
+	return Promise.try( () => {
+		if ( !_.isObject( entry ) || Array.isArray( entry ) ) {
+			throw new Err( 'Each tile must be an object' ).metrics( 'err.req.batch' );
+		}
+		params = _.pick( entry, tileFields );
+		const tile = tiles.prepareTile( req, params, entry.lang );
+		deadline = tiles.makeDeadline( tile.source, res );
+		return tiles.renderTileAsync( tile, params, {}, deadline ).then( ( result ) => ( {
+			status: 200,
+			headers: Object.assign( {}, result.headers, {
+				ETag: tiles.makeETag( params, tile.opts, result.data, result.headers )
+			} ),
+			data: result.data
+		} ) );
+	} ).catch( ( err ) => {
+		const problem = Err.toProblem( err );
+		if ( !core.areMetricsValid( err.metrics ) ) {
+			core.log( 'error', err );
+		}
+		core.metrics.increment( ( core.areMetricsValid( err.metrics ) && err.metrics ) || 'err.unknown' );
+		return {
+			status: problem.status,
+			headers: { 'Content-Type': 'application/problem+json' },
+			data: JSON.stringify( problem )
+		};
+	} ).then( ( part ) => {
+		if ( params.src !== undefined ) {
+			part.headers[ 'Content-Location' ] = getTileLocation( params, entry.lang );
+		}
+		return part;
+	} ).finally( () => {
+		if ( deadline ) {
+			deadline.clear();
+		}
+	} );
+}
+
+/**
+ * Write one part of the multipart response
+ *
+ * @param {Object} res response object
+ * @param {string} boundary
+ * @param {number} index of the tile in the request
+ * @param {Object} part
+ */
+function writePart( res, boundary, index, part ) {
+	const data = Buffer.isBuffer( part.data ) ? part.data : Buffer.from( String( part.data ) );
+	const headers = Object.assign( {}, part.headers, {
+		'X-Tile-Index': index,
+		'X-Tile-Status': part.status,
+		'Content-Length': data.length
+	} );
+	let head = `--${boundary}\r\n`;
+	_.each( headers, ( value, key ) => {
+		head += `${key}: ${String( value ).replace( /[\r\n]+/g, ' ' )}\r\n`;
+	} );
+	res.write( `${head}\r\n` );
+	res.write( data );
+	res.write( '\r\n' );
+}
+
+/**
+ * Web server (express) route handler to get multiple tiles in one multipart/mixed response.
+ * The parts are sent as soon as their tiles are ready, so their order might differ from the
+ * request, and have the X-Tile-Index and X-Tile-Status headers.
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ * @return {Promise}
+ */
+function requestHandler( req, res, next ) {
+	const start = Date.now();
+	let boundary;
+
+	return Promise.try( () => {
+		const entries = req.body && req.body.tiles;
+		if ( !Array.isArray( entries ) || !entries.length ) {
+			throw new Err( 'tiles must be a non-empty list' ).metrics( 'err.req.batch' );
+		}
+		const maxTiles = core.getConfiguration().maxBatchTiles || defaultMaxTiles;
+		if ( entries.length > maxTiles ) {
+			throw new Err( 'No more than %d tiles are allowed per request', maxTiles )
+				.metrics( 'err.req.batch' );
+		}
+
+		boundary = crypto.randomBytes( 12 ).toString( 'hex' );
+		core.setResponseHeaders( res );
+		res.status( 200 ).type( `multipart/mixed; boundary=${boundary}` );
+
+		return Promise.map(
+			entries,
+			( entry, index ) => getEntryAsync( req, res, entry )
+				.then( ( part ) => writePart( res, boundary, index, part ) ),
+			{ concurrency }
+		).then( () => {
+			res.end( `--${boundary}--\r\n` );
+			core.metrics.endTiming( 'req.batch', start );
+		} );
+	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next );
+}
+
+module.exports = function batch( cor, router ) {
+	core = cor;
+
+	// get multiple tiles, e.g. {"tiles": [{"src": "osm", "z": 1, "x": 0, "y": 0, "format": "png"}]}
+	router.post( '/batch', requestHandler );
+};
@@ -6,13 +6,19 @@ const express = require( 'express' );
 const compression = require( 'compression' );
 const tiles = require( './tiles' );
 const info = require( './info' );
+const style = require( './style' );
+const wmts = require( './wmts' );
+const ogcapi = require( './ogcapi' );
+const inspect = require( './inspect' );
+const batch = require( './batch' );
 
 module.exports.init = function init( opts ) {
 	return Promise.try( () => {
 		const router = express.Router();
 		const handlers = opts.requestHandlers || [];
 
-		handlers.unshift( tiles, info );
+		// wmts and ogcapi go first, as their paths would otherwise match the tile routes
+		handlers.unshift( wmts, ogcapi, tiles, info, style, inspect, batch );
 		return Promise.mapSeries(
 			handlers,
 			( reqHandler ) => reqHandler( opts.core, router )
@@ -2,11 +2,212 @@
 
 const infoHeaders = {};
 const util = require( 'util' );
+const _ = require( 'underscore' );
 const Err = require( '../err' );
 const Promise = require( 'bluebird' );
+const qidx = require( 'quadtile-index' );
+const tileCodec = require( '../babel/tileCodec' );
 
 let core;
 
+/**
+ * Formats that can be used in the generated tiles URLs, in the order of preference
+ *
+ * @type {string[]}
+ */
+const tileFormats = [ 'pbf', 'png', 'jpeg', 'webp', 'auto' ];
+
+const langCodeRe = /^[-_a-zA-Z]+$/;
+
+/**
+ * Sampled vector_layers of each source handler, so that the tile is only decoded once
+ *
+ * @type {WeakMap<Object, Promise<Object[]>>}
+ */
+const sampledLayers = new WeakMap();
+
+/**
+ * Build the tiles URL templates of the source, based on the request's host and base path
+ *
+ * @param {Object} req request object
+ * @param {Object} source
+ * @return {string[]}
+ */
+function getTileUrls( req, source ) {
+	const query = req.query || {};
+	let format = query.tileformat;
+	if ( format === undefined ) {
+		format = _.find( tileFormats, ( f ) => _.contains( source.formats, f ) );
+	} else if ( !_.contains( tileFormats, format ) || !_.contains( source.formats, format ) ) {
+		throw new Err( 'Format %s is not known', format ).metrics( 'err.req.format' );
+	}
+	if ( format === undefined ) {
+		return [];
+	}
+
+	let scale = '';
+	if ( query.scale !== undefined ) {
+		scale = `@${core.validateScale( query.scale, source )}x`;
+	}
+	let lang = '';
+	if ( query.lang !== undefined ) {
+		if ( !langCodeRe.test( query.lang ) ) {
+			throw new Err( 'lang param is not valid' ).metrics( 'err.req.lang' );
+		}
+		lang = `?lang=${query.lang}`;
+	}
+
+	const base = `${req.protocol}://${req.get( 'host' )}${req.baseUrl || ''}`;
+	return [ `${base}/${req.params.src}/{z}/{x}/{y}${scale}.${format}${lang}` ];
+}
+
+/**
+ * Get the type of the vector tile value for the vector_layers fields
+ *
+ * @param {Object} value decoded tile value
+ * @return {string}
+ */
+function fieldType( value ) {
+	switch ( typeof value.value ) {
+		case 'boolean':
+			return 'Boolean';
+		case 'string':
+			return 'String';
+		default:
+			return 'Number';
+	}
+}
+
+/**
+ * Get the x,y coordinates of the web mercator tile containing the location
+ *
+ * @param {number} lon
+ * @param {number} lat
+ * @param {number} z
+ * @return {number[]} [x, y]
+ */
+function lonLatToTile( lon, lat, z ) {
+	const size = 2 ** z;
+	const rad = Math.max( -85, Math.min( 85, lat ) ) * Math.PI / 180;
+	return [
+		Math.floor( ( lon + 180 ) / 360 * size ),
+		Math.floor( ( 1 - Math.log( Math.tan( rad ) + 1 / Math.cos( rad ) ) / Math.PI ) / 2 * size )
+	];
+}
+
+/**
+ * Get the list of layers and their fields by decoding one tile of the source -
+ * the tile at the center of the source, or the first tile of the minimum zoom
+ *
+ * @param {Object} source
+ * @param {Object} info
+ * @return {Promise<Object[]>}
+ */
+function sampleVectorLayersAsync( source, info ) {
+	const handler = source.getHandler();
+	let result = sampledLayers.get( handler );
+	if ( result ) {
+		return result;
+	}
+	if ( typeof handler.getAsync !== 'function' ) {
+		return Promise.resolve( undefined );
+	}
+
+	let z = info.minzoom || 0;
+	let x = 0;
+	let y = 0;
+	if ( Array.isArray( info.center ) && info.center.length === 3 ) {
+		const maxzoom = info.maxzoom === undefined ? 22 : info.maxzoom;
+		z = Math.max( z, Math.min( info.center[ 2 ], maxzoom ) );
+		[ x, y ] = lonLatToTile( info.center[ 0 ], info.center[ 1 ], z );
+		if ( !qidx.isValidCoordinate( x, z ) || !qidx.isValidCoordinate( y, z ) ) {
+			x = 0;
+			y = 0;
+		}
+	}
+
+	result = handler.getAsync( { type: 'tile', z, x, y } )
+		.then( ( res ) => core.uncompressAsync( res.data, res.headers ) )
+		.then( ( data ) => tileCodec.decodeTile( data ).layers.map( ( layer ) => {
+			const fields = {};
+			for ( const feature of layer.features ) {
+				const tags = feature.tags || [];
+				for ( let ind = 0; ind < tags.length; ind += 2 ) {
+					const key = layer.keys[ tags[ ind ] ];
+					if ( !fields[ key ] ) {
+						fields[ key ] = fieldType( layer.values[ tags[ ind + 1 ] ] );
+					}
+				}
+			}
+			return _.pick( {
+				id: layer.name,
+				fields,
+				minzoom: info.minzoom,
+				maxzoom: info.maxzoom
+			}, ( v ) => v !== undefined );
+		} ) )
+		.catch( ( err ) => {
+			// Sampling is best-effort. A missing tile will stay missing, but try again
+			// on the next request after any other error
+			if ( !Err.isNoTileError( err ) ) {
+				sampledLayers.delete( handler );
+			}
+			core.log( 'warn', `Unable to sample vector layers: ${core.errToStr( err )}` );
+			return undefined;
+		} );
+	sampledLayers.set( handler, result );
+	return result;
+}
+
+/**
+ * Get the vector_layers of the source, sampling them from a tile if the info does not have them
+ *
+ * @param {Object} source
+ * @param {Object} sourceInfo
+ * @return {Promise<Object[]|undefined>}
+ */
+function getVectorLayersAsync( source, sourceInfo ) {
+	if ( sourceInfo.vector_layers || !_.contains( source.formats, 'pbf' ) ) {
+		return Promise.resolve( sourceInfo.vector_layers );
+	}
+	return sampleVectorLayersAsync( source, sourceInfo );
+}
+
+/**
+ * Add the generated values to the source's info
+ *
+ * @param {Object} req request object
+ * @param {Object} source
+ * @param {Object} info as configured in the sources
+ * @return {Promise<Object>}
+ */
+function buildInfoAsync( req, source, info ) {
+	return Promise.try( () => {
+		info = Object.assign( {}, info );
+		// hand-written tiles in setInfo or overrideInfo take precedence
+		if ( !info.tiles ) {
+			info.tiles = getTileUrls( req, source );
+		}
+		if ( req.query.tilejson === '3' || req.query.tilejson === '3.0.0' ) {
+			info.tilejson = '3.0.0';
+			_.defaults( info, {
+				scheme: 'xyz',
+				bounds: [ -180, -85.05112877980659, 180, 85.0511287798066 ]
+			} );
+			if ( info.fillzoom === undefined && info.maxzoom !== undefined ) {
+				// clients should overzoom the tiles of the last available zoom level
+				info.fillzoom = info.maxzoom;
+			}
+		}
+		return getVectorLayersAsync( source, info ).then( ( layers ) => {
+			if ( layers ) {
+				info.vector_layers = layers;
+			}
+			return info;
+		} );
+	} );
+}
+
 /**
  * Web server (express) route handler to get requested tile or info
  *
@@ -25,7 +226,9 @@ function requestHandler( req, res, next ) {
 		if ( source.publicinfo === false ) {
 			throw new Err( 'Source info is not public' ).metrics( 'err.req.sourceinfo' );
 		}
-		return source.getHandler().getInfoAsync().then( ( info ) => [ info, infoHeaders ] );
+		return source.getHandler().getInfoAsync()
+			.then( ( info ) => buildInfoAsync( req, source, info ) )
+			.then( ( info ) => [ info, infoHeaders ] );
 	} ).spread( ( data, dataHeaders ) => {
 		core.setResponseHeaders( res, source, dataHeaders );
 
@@ -47,3 +250,5 @@ module.exports = function info( cor, router ) {
 	// get source info (json)
 	router.get( `/:src(${core.Sources.sourceIdReStr})/info.json`, requestHandler );
 };
+
+module.exports.getVectorLayersAsync = getVectorLayersAsync;
@@ -0,0 +1,185 @@
+'use strict';
+
+const util = require( 'util' );
+const _ = require( 'underscore' );
+const Pbf = require( 'pbf' );
+const Promise = require( 'bluebird' );
+const qidx = require( 'quadtile-index' );
+const checkType = require( '../input-validator' );
+const Err = require( '../err' );
+const tileCodec = require( '../babel/tileCodec' );
+const tiles = require( './tiles' );
+
+let core;
+
+const geometryTypes = [ 'Unknown', 'Point', 'LineString', 'Polygon' ];
+
+/**
+ * Names of the vector tile value types, by their PBF field tag
+ */
+const valueTypes = [ undefined, 'string', 'float', 'double', 'int', 'uint', 'sint', 'bool' ];
+
+/**
+ * Get the encoded size of each layer of the tile
+ *
+ * @param {Buffer} data uncompressed tile
+ * @return {number[]}
+ */
+function getLayerSizes( data ) {
+	return new Pbf( data ).readFields( ( tag, sizes, pbf ) => {
+		if ( tag === 3 ) {
+			const size = pbf.readVarint();
+			sizes.push( size );
+			pbf.pos += size;
+		}
+	}, [] );
+}
+
+/**
+ * Count the vertices in the geometry commands of the feature
+ *
+ * @param {number[]} geometry
+ * @return {number}
+ */
+function countVertices( geometry ) {
+	let vertices = 0;
+	let ind = 0;
+	while ( ind < geometry.length ) {
+		// command id in the lowest 3 bits, the repeat count in the rest
+		const command = geometry[ ind ] % 8;
+		const count = Math.floor( geometry[ ind ] / 8 );
+		ind++;
+		// MoveTo and LineTo have x,y params for each vertex, ClosePath has none
+		if ( command === 1 || command === 2 ) {
+			vertices += count;
+			ind += count * 2;
+		}
+	}
+	return vertices;
+}
+
+/**
+ * Build the statistics of one layer
+ *
+ * @param {Object} layer decoded tile layer
+ * @param {number} size of the encoded layer
+ * @param {number} tileSize of the whole uncompressed tile
+ * @return {Object}
+ */
+function inspectLayer( layer, size, tileSize ) {
+	const types = {};
+	const keys = {};
+	let vertices = 0;
+	let maxVertices = 0;
+
+	for ( const feature of layer.features ) {
+		const type = geometryTypes[ feature.type ] || 'Unknown';
+		types[ type ] = ( types[ type ] || 0 ) + 1;
+		const featureVertices = countVertices( feature.geometry || [] );
+		vertices += featureVertices;
+		maxVertices = Math.max( maxVertices, featureVertices );
+
+		const tags = feature.tags || [];
+		for ( let ind = 0; ind < tags.length; ind += 2 ) {
+			const name = layer.keys[ tags[ ind ] ];
+			const value = layer.values[ tags[ ind + 1 ] ];
+			const valueType = valueTypes[ value.tag ];
+			let key = keys[ name ];
+			if ( !key ) {
+				key = keys[ name ] = { features: 0, values: new Set(), types: {} };
+			}
+			key.features++;
+			key.values.add( `${valueType}:${value.value}` );
+			key.types[ valueType ] = ( key.types[ valueType ] || 0 ) + 1;
+		}
+	}
+
+	return {
+		name: layer.name,
+		version: layer.version,
+		extent: layer.extent,
+		bytes: size,
+		byteShare: tileSize ? Math.round( size / tileSize * 10000 ) / 10000 : 0,
+		features: layer.features.length,
+		geometryTypes: types,
+		vertices,
+		maxFeatureVertices: maxVertices,
+		keyTableSize: layer.keys.length,
+		valueTableSize: layer.values.length,
+		keys: _.mapObject( keys, ( key ) => ( {
+			features: key.features,
+			cardinality: key.values.size,
+			types: key.types
+		} ) )
+	};
+}
+
+/**
+ * Build the statistics of the vector tile
+ *
+ * @param {Buffer} data uncompressed tile
+ * @return {Object}
+ */
+function inspectTile( data ) {
+	const sizes = getLayerSizes( data );
+	const tile = tileCodec.decodeTile( data );
+	return {
+		bytes: data.length,
+		layers: tile.layers.map(
+			( layer, ind ) => inspectLayer( layer, sizes[ ind ], data.length )
+		)
+	};
+}
+
+/**
+ * Web server (express) route handler to get the statistics of a vector tile
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ * @return {Promise}
+ */
+function requestHandler( req, res, next ) {
+	const params = req && req.params;
+	const start = Date.now();
+	let source;
+	let deadline;
+
+	return Promise.try( () => {
+		source = core.getPublicSource( params.src );
+		if ( !_.contains( source.formats, 'pbf' ) ) {
+			throw new Err( 'Source has no vector tiles' ).metrics( 'err.req.format' );
+		}
+		const z = core.validateZoom( params.z, source );
+		const x = checkType.strToInt( params.x );
+		const y = checkType.strToInt( params.y );
+		if ( !qidx.isValidCoordinate( x, z ) || !qidx.isValidCoordinate( y, z ) ) {
+			throw new Err( 'x,y coordinates are not valid, or not allowed for this zoom' ).metrics( 'err.req.coords' );
+		}
+		deadline = tiles.makeDeadline( source, res );
+		return deadline.run( source.getHandler().getAsync( { type: 'tile', z, x, y } ) );
+	} ).then(
+		( result ) => core.uncompressAsync( result.data, result.headers )
+	).then( ( data ) => {
+		const report = inspectTile( data );
+
+		core.setResponseHeaders( res, source );
+		res.json( report );
+
+		const mx = util.format( 'req.%s.%s.inspect', params.src, params.z );
+		core.metrics.endTiming( mx, start );
+	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next ).finally( () => {
+		if ( deadline ) {
+			deadline.clear();
+		}
+	} );
+}
+
+module.exports = function inspect( cor, router ) {
+	core = cor;
+
+	// get the statistics of a vector tile (json)
+	router.get( `/:src(${core.Sources.sourceIdReStr})/:z(\\d+)/:x(\\d+)/:y(\\d+)/inspect.json`, requestHandler );
+};
+
+module.exports.inspectTile = inspectTile;
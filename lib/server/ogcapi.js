@@ -0,0 +1,384 @@
+'use strict';
+
+const _ = require( 'underscore' );
+const Promise = require( 'bluebird' );
+const Err = require( '../err' );
+const encoding = require( '../encoding' );
+const tiles = require( './tiles' );
+
+let core;
+
+/**
+ * Tile formats by their OGC API "f" param values, in the order of preference
+ *
+ * @type {Object}
+ */
+const ogcFormats = {
+	mvt: 'pbf',
+	png: 'png',
+	jpeg: 'jpeg',
+	webp: 'webp'
+};
+
+const contentTypes = Object.assign( {}, encoding.contentTypes, {
+	pbf: 'application/vnd.mapbox-vector-tile'
+} );
+
+const conformance = [
+	'http://www.opengis.net/spec/ogcapi-common-1/1.0/conf/core',
+	'http://www.opengis.net/spec/ogcapi-common-1/1.0/conf/landing-page',
+	'http://www.opengis.net/spec/ogcapi-common-1/1.0/conf/json',
+	'http://www.opengis.net/spec/ogcapi-common-2/1.0/conf/collections',
+	'http://www.opengis.net/spec/ogcapi-tiles-1/1.0/conf/core',
+	'http://www.opengis.net/spec/ogcapi-tiles-1/1.0/conf/tileset',
+	'http://www.opengis.net/spec/ogcapi-tiles-1/1.0/conf/tilesets-list',
+	'http://www.opengis.net/spec/ogcapi-tiles-1/1.0/conf/geodata-tilesets',
+	'http://www.opengis.net/spec/tms/2.0/conf/tilematrixset',
+	'http://www.opengis.net/spec/tms/2.0/conf/json-tilematrixset'
+];
+
+/**
+ * OGC API "f" values of the tile formats that have their own conformance class
+ *
+ * @type {string[]}
+ */
+const conformanceFormats = [ 'jpeg', 'png', 'mvt' ];
+
+const tmsId = 'WebMercatorQuad';
+const tmsUri = 'http://www.opengis.net/def/tilematrixset/OGC/1.0/WebMercatorQuad';
+const crs = 'http://www.opengis.net/def/crs/EPSG/0/3857';
+const relPrefix = 'http://www.opengis.net/def/rel/ogc/1.0/';
+const worldBbox = [ -180, -85.0511287798066, 180, 85.0511287798066 ];
+
+/**
+ * Zoom levels of the WebMercatorQuad tile matrix set, and the sources without the maxzoom
+ *
+ * @type {number}
+ */
+const maxZoom = 24;
+
+/**
+ * @param {Object} req request object
+ * @return {string} url of the service
+ */
+function getBaseUrl( req ) {
+	return `${req.protocol}://${req.get( 'host' )}${req.baseUrl || ''}`;
+}
+
+/**
+ * @param {Object} source
+ * @return {string[]} OGC API "f" values of the source's tile formats
+ */
+function getSourceFormats( source ) {
+	return _.filter(
+		Object.keys( ogcFormats ), ( f ) => _.contains( source.formats, ogcFormats[ f ] )
+	);
+}
+
+/**
+ * @param {Object} source
+ * @return {string} "vector" or "map"
+ */
+function getDataType( source ) {
+	return _.contains( source.formats, 'pbf' ) ? 'vector' : 'map';
+}
+
+/**
+ * Get all sources that can be listed in the collections
+ *
+ * @return {Object[]} list of {id, source}
+ */
+function getPublicSources() {
+	const allPublic = core.getConfiguration().allSourcesPublic;
+	const sources = core.getSources().getSourceConfigs();
+	return Object.keys( sources ).sort()
+		.map( ( id ) => ( { id, source: sources[ id ] } ) )
+		.filter( ( { source } ) => ( source.public || allPublic ) && !source.isDisabled &&
+			getSourceFormats( source ).length );
+}
+
+/**
+ * Get the conformance classes, with the tile encodings of the formats served by the sources
+ *
+ * @return {string[]}
+ */
+function getConformance() {
+	const formats = _.union(
+		...getPublicSources().map( ( { source } ) => getSourceFormats( source ) )
+	);
+	return conformance.concat( _.intersection( conformanceFormats, formats ).map(
+		( f ) => `http://www.opengis.net/spec/ogcapi-tiles-1/1.0/conf/${f}`
+	) );
+}
+
+/**
+ * Build the landing page of the service
+ *
+ * @param {Object} req request object
+ * @return {Object}
+ */
+function buildLandingPage( req ) {
+	const baseUrl = getBaseUrl( req );
+	return {
+		title: 'Kartotherian',
+		description: 'Map tiles of the public sources',
+		links: [
+			{ href: `${baseUrl}/?f=json`, rel: 'self', type: 'application/json' },
+			{ href: `${baseUrl}/?spec`, rel: 'service-desc', type: 'application/json' },
+			{ href: `${baseUrl}/conformance`, rel: 'conformance', type: 'application/json' },
+			{ href: `${baseUrl}/collections`, rel: 'data', type: 'application/json' },
+			{
+				href: `${baseUrl}/tileMatrixSets`,
+				rel: `${relPrefix}tiling-schemes`,
+				type: 'application/json'
+			}
+		]
+	};
+}
+
+/**
+ * Build the WebMercatorQuad tile matrix set definition
+ *
+ * @return {Object}
+ */
+function buildTileMatrixSet() {
+	const tileMatrices = [];
+	for ( let z = 0; z <= maxZoom; z++ ) {
+		const size = 2 ** z;
+		tileMatrices.push( {
+			id: String( z ),
+			scaleDenominator: 559082264.0287178 / size,
+			cellSize: 156543.03392804097 / size,
+			cornerOfOrigin: 'topLeft',
+			pointOfOrigin: [ -20037508.3427892, 20037508.3427892 ],
+			tileWidth: 256,
+			tileHeight: 256,
+			matrixWidth: size,
+			matrixHeight: size
+		} );
+	}
+	return {
+		id: tmsId,
+		title: 'Google Maps Compatible for the World',
+		uri: tmsUri,
+		crs,
+		orderedAxes: [ 'X', 'Y' ],
+		wellKnownScaleSet: 'http://www.opengis.net/def/wkss/OGC/1.0/GoogleMapsCompatible',
+		tileMatrices
+	};
+}
+
+/**
+ * Build the description of the source's tiles
+ *
+ * @param {string} baseUrl
+ * @param {string} id
+ * @param {Object} source
+ * @param {boolean} [withLimits] add the tileMatrixSetLimits, for the tileset metadata
+ * @return {Object}
+ */
+function buildTileset( baseUrl, id, source, withLimits ) {
+	const url = `${baseUrl}/collections/${id}/tiles/${tmsId}`;
+	const tileset = {
+		title: id,
+		dataType: getDataType( source ),
+		crs,
+		tileMatrixSetURI: tmsUri,
+		links: [
+			{ href: url, rel: withLimits ? 'self' : `${relPrefix}tileset`, type: 'application/json' },
+			{
+				href: `${baseUrl}/tileMatrixSets/${tmsId}`,
+				rel: `${relPrefix}tiling-scheme`,
+				type: 'application/json'
+			}
+		].concat( getSourceFormats( source ).map( ( f ) => ( {
+			href: `${url}/{tileMatrix}/{tileRow}/{tileCol}?f=${f}`,
+			rel: 'item',
+			type: contentTypes[ ogcFormats[ f ] ],
+			templated: true
+		} ) ) )
+	};
+	if ( withLimits ) {
+		const minzoom = source.minzoom || 0;
+		const maxzoom = source.maxzoom === undefined ? maxZoom : source.maxzoom;
+		tileset.tileMatrixSetLimits = _.range( minzoom, maxzoom + 1 ).map( ( z ) => ( {
+			tileMatrix: String( z ),
+			minTileRow: 0,
+			maxTileRow: 2 ** z - 1,
+			minTileCol: 0,
+			maxTileCol: 2 ** z - 1
+		} ) );
+	}
+	return tileset;
+}
+
+/**
+ * Build the collection description of the source
+ *
+ * @param {string} baseUrl
+ * @param {string} id
+ * @param {Object} source
+ * @return {Object}
+ */
+function buildCollection( baseUrl, id, source ) {
+	const dataType = getDataType( source );
+	return {
+		id,
+		title: id,
+		extent: {
+			spatial: {
+				bbox: [ worldBbox ],
+				crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84'
+			}
+		},
+		links: [
+			{ href: `${baseUrl}/collections/${id}`, rel: 'self', type: 'application/json' },
+			{
+				href: `${baseUrl}/collections/${id}/tiles`,
+				rel: `${relPrefix}tilesets-${dataType}`,
+				type: 'application/json'
+			}
+		]
+	};
+}
+
+/**
+ * Get the public source for the collection requests, which must have tiles in the OGC formats
+ *
+ * @param {string} srcId
+ * @return {Object}
+ */
+function getCollectionSource( srcId ) {
+	const source = core.getPublicSource( srcId );
+	if ( !getSourceFormats( source ).length ) {
+		throw new Err( 'Source has no tiles' ).metrics( 'err.req.source' ).httpStatus( 404 );
+	}
+	return source;
+}
+
+/**
+ * Create an express route handler that responds with the JSON returned by the callback
+ *
+ * @param {string} name for the metrics
+ * @param {Function} getData called with the request, returns the data to send
+ * @return {Function}
+ */
+function jsonHandler( name, getData ) {
+	return ( req, res, next ) => {
+		const start = Date.now();
+		return Promise.try( () => getData( req ) ).then( ( data ) => {
+			core.setResponseHeaders( res );
+			res.json( data );
+			core.metrics.endTiming( `req.ogcapi.${name}`, start );
+		} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next );
+	};
+}
+
+/**
+ * Web server (express) route handler to get a tile, passing it to the regular tile handler.
+ * The format is set by the "f" param, or picked based on the Accept header.
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ * @return {Promise}
+ */
+function tileHandler( req, res, next ) {
+	return Promise.try( () => {
+		const { params } = req;
+		if ( params.tms !== tmsId ) {
+			throw new Err( 'Unknown tile matrix set %j', params.tms )
+				.metrics( 'err.req.tms' ).httpStatus( 404 );
+		}
+		const source = getCollectionSource( params.src );
+		let format;
+		if ( req.query.f !== undefined ) {
+			format = ogcFormats[ req.query.f ];
+			if ( !format ) {
+				throw new Err( 'Format %s is not known', req.query.f ).metrics( 'err.req.format' );
+			}
+		} else {
+			const types = getSourceFormats( source )
+				.map( ( f ) => contentTypes[ ogcFormats[ f ] ] );
+			const type = req.accepts( types );
+			if ( !type ) {
+				throw new Err( 'None of the formats %j is acceptable', types )
+					.metrics( 'err.req.format' ).httpStatus( 406 );
+			}
+			format = _.findKey( contentTypes, ( t ) => t === type );
+			res.vary( 'Accept' );
+		}
+		req.params = {
+			src: params.src,
+			z: params.z,
+			x: params.x,
+			y: params.y,
+			format
+		};
+	} ).then(
+		() => tiles.requestHandler( req, res, next ),
+		( err ) => core.reportRequestError( err, res )
+	).catch( next );
+}
+
+module.exports = function ogcapi( cor, router ) {
+	core = cor;
+	const srcRe = core.Sources.sourceIdReStr;
+
+	// the landing page is only sent to the API clients, the browsers get the demo page
+	const landingHandler = jsonHandler( 'landing', buildLandingPage );
+	router.get( '/', ( req, res, next ) => {
+		if ( 'spec' in req.query ) {
+			return next();
+		}
+		res.vary( 'Accept' );
+		if ( req.query.f !== 'json' &&
+			req.accepts( [ 'text/html', 'application/json' ] ) !== 'application/json'
+		) {
+			return next();
+		}
+		return landingHandler( req, res, next );
+	} );
+	router.get( '/conformance', jsonHandler( 'conformance', () => ( { conformsTo: getConformance() } ) ) );
+
+	router.get( '/tileMatrixSets', jsonHandler( 'tms', ( req ) => ( {
+		tileMatrixSets: [ {
+			id: tmsId,
+			title: 'Google Maps Compatible for the World',
+			uri: tmsUri,
+			links: [ {
+				href: `${getBaseUrl( req )}/tileMatrixSets/${tmsId}`,
+				rel: 'self',
+				type: 'application/json'
+			} ]
+		} ]
+	} ) ) );
+	router.get( `/tileMatrixSets/${tmsId}`, jsonHandler( 'tms', buildTileMatrixSet ) );
+
+	router.get( '/collections', jsonHandler( 'collections', ( req ) => {
+		const baseUrl = getBaseUrl( req );
+		return {
+			links: [ { href: `${baseUrl}/collections`, rel: 'self', type: 'application/json' } ],
+			collections: getPublicSources().map(
+				( { id, source } ) => buildCollection( baseUrl, id, source )
+			)
+		};
+	} ) );
+	router.get( `/collections/:src(${srcRe})/tiles/:tms/:z(\\d+)/:y(\\d+)/:x(\\d+)`, tileHandler );
+	router.get( `/collections/:src(${srcRe})/tiles/:tms`, jsonHandler( 'tileset', ( req ) => {
+		if ( req.params.tms !== tmsId ) {
+			throw new Err( 'Unknown tile matrix set %j', req.params.tms )
+				.metrics( 'err.req.tms' ).httpStatus( 404 );
+		}
+		const source = getCollectionSource( req.params.src );
+		return buildTileset( getBaseUrl( req ), req.params.src, source, true );
+	} ) );
+	router.get( `/collections/:src(${srcRe})/tiles`, jsonHandler( 'tilesets', ( req ) => ( {
+		tilesets: [
+			buildTileset( getBaseUrl( req ), req.params.src, getCollectionSource( req.params.src ) )
+		]
+	} ) ) );
+	router.get( `/collections/:src(${srcRe})`, jsonHandler( 'collection', ( req ) =>
+		buildCollection( getBaseUrl( req ), req.params.src, getCollectionSource( req.params.src ) )
+	) );
+};
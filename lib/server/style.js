@@ -0,0 +1,58 @@
+'use strict';
+
+const util = require( 'util' );
+const Err = require( '../err' );
+const Promise = require( 'bluebird' );
+const glstyle = require( '../glstyle' );
+const info = require( './info' );
+
+let core;
+
+const langCodeRe = /^[-_a-zA-Z]+$/;
+
+/**
+ * Web server (express) route handler to get the Mapbox GL / MapLibre style of the source
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ * @return {Promise}
+ */
+function requestHandler( req, res, next ) {
+	const start = Date.now();
+	const srcId = req.params.src;
+	const { lang } = req.query;
+	let source;
+
+	return Promise.try( () => {
+		source = core.getPublicSource( srcId );
+		if ( !source.glStyle ) {
+			throw new Err( 'GL style is not configured for this source' )
+				.metrics( 'err.req.glstyle' ).httpStatus( 404 );
+		}
+		if ( lang !== undefined && !langCodeRe.test( lang ) ) {
+			throw new Err( 'lang param is not valid' ).metrics( 'err.req.lang' );
+		}
+		if ( !lang ) {
+			return undefined;
+		}
+		// The known label keys of each layer are needed for the language fallbacks
+		return source.getHandler().getInfoAsync()
+			.then( ( sourceInfo ) => info.getVectorLayersAsync( source, sourceInfo ) );
+	} ).then( ( vectorLayers ) => {
+		const infoUrl = `${req.protocol}://${req.get( 'host' )}${req.baseUrl || ''}/${srcId}/info.json`;
+		const style = glstyle.build( source.glStyle, srcId, infoUrl, lang, vectorLayers );
+
+		core.setResponseHeaders( res, source );
+		res.json( style );
+
+		core.metrics.endTiming( util.format( 'req.%s.style', srcId ), start );
+	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next );
+}
+
+module.exports = function style( cor, router ) {
+	core = cor;
+
+	// get Mapbox GL / MapLibre style (json)
+	router.get( `/:src(${core.Sources.sourceIdReStr})/style.json`, requestHandler );
+};
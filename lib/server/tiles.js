@@ -1,16 +1,22 @@
 'use strict';
 
 const util = require( 'util' );
+const crypto = require( 'crypto' );
 const Promise = require( 'bluebird' );
 const _ = require( 'underscore' );
 const qidx = require( 'quadtile-index' );
 const checkType = require( '../input-validator' );
 const Err = require( '../err' );
+const encoding = require( '../encoding' );
+const toGeojson = require( '../tileGeojson' );
 
 const langCodeRe = /^[-_a-zA-Z]+$/;
 
 let core;
 
+// Tile renders that are currently in progress, keyed by getTileKey()
+const pendingTiles = new Map();
+
 function filterJson( query, data ) {
 	let newData = data;
 
@@ -23,16 +29,15 @@ function filterJson( query, data ) {
 			return memo;
 		}, {} );
 	} else if ( 'nogeo' in query ) {
-		// Recursively remove all "geometry" fields, replacing them with geometry's size
+		// Recursively replace all "geometry" fields with geometry's size. The data is shared
+		// with the concurrent requests for the same tile, so it is copied rather than modified.
 		const filter = ( val, key ) => {
 			if ( key === 'geometry' ) {
 				return val.length;
 			} else if ( _.isArray( val ) ) {
 				return _.map( val, filter );
 			} else if ( _.isObject( val ) ) {
-				_.each( val, ( v, k ) => {
-					val[ k ] = filter( v, k );
-				} );
+				return _.mapObject( val, filter );
 			}
 			return val;
 		};
@@ -42,81 +47,246 @@ function filterJson( query, data ) {
 }
 
 /**
- * Web server (express) route handler to get requested tile
+ * Compute a strong ETag for the tile response. Besides the body, the hash covers
+ * the requested variant, so that identical bytes served as different
+ * format/scale/lang/encoding never share a validator.
  *
- * @param {Object} req request object
- * @param {Object} res response object
- * @param {Promise} next will be called if request is not handled
+ * @param {Object} params request params (src, format, scale)
+ * @param {Object} opts tile options passed to the source
+ * @param {Buffer|string} body response body
+ * @param {Object} [headers] response headers returned by the source
+ * @return {string}
+ */
+function makeETag( params, opts, body, headers ) {
+	const hash = crypto.createHash( 'sha1' );
+	hash.update( JSON.stringify( [
+		params.src, params.z, params.x, params.y, params.format,
+		params.scale || '', opts.lang || '',
+		( headers && ( headers[ 'Content-Encoding' ] || headers[ 'content-encoding' ] ) ) || ''
+	] ) );
+	hash.update( body || '' );
+	return `"${hash.digest( 'base64' ).replace( /=+$/, '' )}"`;
+}
+
+/**
+ * @param {string} srcId
+ * @param {string} format
+ * @param {Object} opts tile options passed to the source
+ * @return {string}
+ */
+function getTileKey( srcId, format, opts ) {
+	return JSON.stringify( [ srcId, opts.z, opts.x, opts.y, format, opts.scale || '', opts.lang || '' ] );
+}
+
+/**
+ * Get the tile from the source, sharing a single pending render among all concurrent
+ * requests for the same tile, so that identical tiles are never rendered in parallel
+ *
+ * @param {Object} source
+ * @param {string} srcId
+ * @param {string} format
+ * @param {Object} opts tile options passed to the source
  * @return {Promise}
  */
-function requestHandler( req, res, next ) {
-	const params = req && req.params;
-	const start = Date.now();
-	let source;
-	let opts;
+function getTileAsync( source, srcId, format, opts ) {
+	const key = getTileKey( srcId, format, opts );
+	let pending = pendingTiles.get( key );
+	if ( pending ) {
+		core.metrics.increment( util.format( 'req.%s.coalesced', srcId ) );
+		return pending;
+	}
+	pending = Promise.try( () => source.getHandler().getAsync( opts ) )
+		.finally( () => pendingTiles.delete( key ) );
+	pendingTiles.set( key, pending );
+	return pending;
+}
 
-	return Promise.try( () => {
-		source = core.getPublicSource( params.src );
+/**
+ * @param {string|undefined} value comma-separated list from the query
+ * @return {string[]|undefined}
+ */
+function parseList( value ) {
+	return value === undefined ? undefined : String( value ).split( ',' ).filter( ( v ) => v );
+}
 
-		if ( !_.contains( source.formats, params.format ) ) {
-			throw new Err( 'Format %s is not known', params.format ).metrics( 'err.req.format' );
-		}
+/**
+ * Convert the vector tile into GeoJSON, keeping the source headers except the content ones.
+ * Only the merged FeatureCollection is GeoJSON, the collections by the layer name are plain JSON.
+ *
+ * @param {Object} result tile data and headers from the source
+ * @param {Object} params request params (z, x, y)
+ * @param {Object} query request query, with the optional layers, props, and merge filters
+ * @return {Promise<Object>}
+ */
+function toGeojsonAsync( result, params, query ) {
+	const headers = _.omit( result.headers, ( v, key ) => /^content-(encoding|type)$/i.test( key ) );
+	const dataHeaders = Object.assign( {}, result.headers );
+	return core.uncompressAsync( result.data, dataHeaders ).then( ( data ) => {
+		const geojson = toGeojson( data, params.z, params.x, params.y, {
+			layers: parseList( query.layers ),
+			props: parseList( query.props ),
+			merge: 'merge' in query
+		} );
+		headers[ 'Content-Type' ] = 'merge' in query ? 'application/geo+json' : 'application/json';
+		return { data: JSON.stringify( geojson ), headers };
+	} );
+}
 
-		params.z = core.validateZoom( params.z, source );
-		params.scale = core.validateScale( params.scale, source );
+/**
+ * Validate the tile request params, and build the tile options for the source
+ *
+ * @param {Object} req request object, for the format negotiation
+ * @param {Object} params src, z, x, y, format, and optional scale - normalized in place
+ * @param {string} [lang]
+ * @return {{source: Object, opts: Object, renderFormat: string, negotiated: boolean}}
+ */
+function prepareTile( req, params, lang ) {
+	const source = core.getPublicSource( params.src );
+	let negotiated = false;
 
-		params.x = checkType.strToInt( params.x );
-		params.y = checkType.strToInt( params.y );
-		if (
-			!qidx.isValidCoordinate( params.x, params.z ) ||
-			!qidx.isValidCoordinate( params.y, params.z )
-		) {
-			throw new Err( 'x,y coordinates are not valid, or not allowed for this zoom' ).metrics( 'err.req.coords' );
+	if ( params.format === 'auto' && _.contains( source.formats, 'auto' ) ) {
+		params.format = encoding.negotiate( req, source.formats );
+		negotiated = true;
+	}
+	if ( !_.contains( source.formats, params.format ) ) {
+		throw new Err( 'Format %s is not known', params.format ).metrics( 'err.req.format' );
+	}
+
+	params.z = core.validateZoom( params.z, source );
+	params.scale = core.validateScale( params.scale, source );
+
+	params.x = checkType.strToInt( params.x );
+	params.y = checkType.strToInt( params.y );
+	if (
+		!qidx.isValidCoordinate( params.x, params.z ) ||
+		!qidx.isValidCoordinate( params.y, params.z )
+	) {
+		throw new Err( 'x,y coordinates are not valid, or not allowed for this zoom' ).metrics( 'err.req.coords' );
+	}
+
+	const opts = {
+		z: params.z,
+		x: params.x,
+		y: params.y
+	};
+	// GeoJSON is converted from the same vector tile as the pbf format
+	const renderFormat = params.format === 'geojson' ? 'pbf' : params.format;
+	if ( renderFormat !== 'pbf' ) {
+		// PNGs are 8bit unless the source's encoding settings say otherwise
+		opts.format = encoding.getFormat( params.format, source.encoding );
+		if ( params.scale ) {
+			opts.scale = params.scale;
+		}
+	}
+	if ( lang ) {
+		if ( typeof lang !== 'string' || !langCodeRe.test( lang ) ) {
+			throw new Err( 'lang param is not valid' ).metrics( 'err.req.lang' );
 		}
+		opts.lang = lang;
+	}
 
-		opts = {
-			z: params.z,
-			x: params.x,
-			y: params.y
-		};
-		if ( params.format !== 'pbf' ) {
-			// Ensure that PNGs are not 32bit
-			// TODO: this should be source-configurable
-			opts.format = params.format === 'png' ? 'png8:m=h' : params.format;
-			if ( params.scale ) {
-				opts.scale = params.scale;
-			}
+	// fixme: Force all tiles to be treated as vector
+	opts.treatAsVector = true;
+
+	return { source, opts, renderFormat, negotiated };
+}
+
+/**
+ * Get the tile prepared by prepareTile(), converted to the requested format
+ *
+ * @param {Object} tile result of prepareTile()
+ * @param {Object} params normalized request params
+ * @param {Object} query request query, with the json and geojson options
+ * @param {Deadline} deadline
+ * @return {Promise<{data: Buffer|string, headers: Object}>}
+ */
+function renderTileAsync( tile, params, query, deadline ) {
+	return deadline.run(
+		getTileAsync( tile.source, params.src, tile.renderFormat, tile.opts )
+	).then( ( result ) => {
+		if ( params.format === 'geojson' ) {
+			return toGeojsonAsync( result, params, query );
 		}
-		if ( req.query && req.query.lang ) {
-			if ( !langCodeRe.test( req.query.lang ) ) {
-				throw new Err( 'lang param is not valid' ).metrics( 'err.req.lang' );
-			}
-			opts.lang = req.query.lang;
+		return result;
+	} ).then( ( result ) => {
+		let body = result.data;
+		let headers = result.headers;
+
+		if ( encoding.contentTypes[ params.format ] ) {
+			// not all sources know the content type of all image formats, e.g. webp
+			headers = Object.assign( {}, headers );
+			headers[ 'Content-Type' ] = encoding.contentTypes[ params.format ];
+		} else if ( params.format === 'json' ) {
+			// Allow JSON to be shortened to simplify debugging
+			body = JSON.stringify( filterJson( query, result.data ) );
+			headers = Object.assign( {}, headers );
+			headers[ 'Content-Type' ] = 'application/json';
 		}
+		return { data: body, headers };
+	} );
+}
 
-		// fixme: Force all tiles to be treated as vector
-		opts.treatAsVector = true;
+/**
+ * Create the deadline of the tile request.
+ * Per-source timeout overrides the timeout of all tile requests. The shared render
+ * is not stopped on expiration, as other requests might still be waiting for it.
+ *
+ * @param {Object} source
+ * @param {Object} res response object
+ * @return {Deadline}
+ */
+function makeDeadline( source, res ) {
+	const timeouts = core.getConfiguration().timeouts || {};
+	return new core.Deadline( source.timeout || timeouts.tiles, res );
+}
 
-		return source.getHandler().getAsync( opts );
+/**
+ * Web server (express) route handler to get requested tile
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ * @return {Promise}
+ */
+function requestHandler( req, res, next ) {
+	const params = req && req.params;
+	const start = Date.now();
+	let tile;
+	let deadline;
+
+	return Promise.try( () => {
+		tile = prepareTile( req, params, req.query && req.query.lang );
+		deadline = makeDeadline( tile.source, res );
+		return renderTileAsync( tile, params, req.query || {}, deadline );
 	} ).then( ( result ) => {
 		let mx;
 
-		core.setResponseHeaders( res, source, result.headers );
+		core.setResponseHeaders( res, tile.source, result.headers, tile.negotiated );
 
-		if ( params.format === 'json' ) {
-			// Allow JSON to be shortened to simplify debugging
-			res.json( filterJson( req.query, result.data ) );
-		} else {
-			res.send( result.data );
-		}
+		// Let clients and caches revalidate with If-None-Match / If-Modified-Since.
+		// Last-Modified is passed through from the source headers when it is provided.
+		res.set( 'ETag', makeETag( params, tile.opts, result.data, result.headers ) );
 
 		mx = util.format( 'req.%s.%s.%s', params.src, params.z, params.format );
 		if ( params.scale ) {
 			// replace '.' with ',' -- otherwise grafana treats it as a divider
 			mx += `.${params.scale.toString().replace( '.', ',' )}`;
 		}
+
+		if ( req.fresh ) {
+			res.removeHeader( 'Content-Encoding' );
+			res.status( 304 ).end();
+			mx += '.304';
+		} else {
+			res.send( result.data );
+		}
+
 		core.metrics.endTiming( mx, start );
-	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next );
+	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next ).finally( () => {
+		if ( deadline ) {
+			deadline.clear();
+		}
+	} );
 }
 
 module.exports = function tiles( cor, router ) {
@@ -126,3 +296,9 @@ module.exports = function tiles( cor, router ) {
 	router.get( `/:src(${core.Sources.sourceIdReStr})/:z(\\d+)/:x(\\d+)/:y(\\d+).:format([\\w]+)`, requestHandler );
 	router.get( `/:src(${core.Sources.sourceIdReStr})/:z(\\d+)/:x(\\d+)/:y(\\d+)@:scale([\\.\\d]+)x.:format([\\w]+)`, requestHandler );
 };
+
+module.exports.requestHandler = requestHandler;
+module.exports.prepareTile = prepareTile;
+module.exports.renderTileAsync = renderTileAsync;
+module.exports.makeDeadline = makeDeadline;
+module.exports.makeETag = makeETag;
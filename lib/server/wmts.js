@@ -0,0 +1,295 @@
+'use strict';
+
+const _ = require( 'underscore' );
+const Promise = require( 'bluebird' );
+const Err = require( '../err' );
+const encoding = require( '../encoding' );
+const tiles = require( './tiles' );
+
+let core;
+
+/**
+ * Content types of the tile formats that can be served over WMTS
+ *
+ * @type {Object}
+ */
+const wmtsFormats = Object.assign( {}, encoding.contentTypes, {
+	pbf: 'application/vnd.mapbox-vector-tile'
+} );
+
+/**
+ * Well-known scale set of the web mercator tiles, and the scale denominator of zoom 0
+ * of the 256 pixel tiles, assuming the standard 0.28mm pixel size
+ */
+const tileMatrixSet = 'GoogleMapsCompatible';
+const scaleDenominator = 559082264.0287178;
+const topLeftCorner = '-20037508.3427892 20037508.3427892';
+
+/**
+ * Zoom levels of the tile matrix sets when no public source sets its maxzoom
+ *
+ * @type {number}
+ */
+const defaultMaxZoom = 18;
+
+/**
+ * @param {string} value
+ * @return {string} value escaped for the XML text and attributes
+ */
+function escapeXml( value ) {
+	return String( value ).replace( /[<>&'"]/g, ( c ) => `&#${c.charCodeAt( 0 )};` );
+}
+
+/**
+ * @param {string} [scale] e.g. '2'
+ * @return {string} id of the tile matrix set with the tiles of this scale
+ */
+function getMatrixSetId( scale ) {
+	return scale === undefined ? tileMatrixSet : `${tileMatrixSet}@${scale}x`;
+}
+
+/**
+ * @param {Object} source
+ * @return {string[]} formats of the source that can be served over WMTS
+ */
+function getSourceFormats( source ) {
+	return _.filter( source.formats || [], ( f ) => _.has( wmtsFormats, f ) );
+}
+
+/**
+ * Get all sources that should be listed in the capabilities
+ *
+ * @return {Object[]} list of {id, source}
+ */
+function getPublicSources() {
+	const allPublic = core.getConfiguration().allSourcesPublic;
+	const sources = core.getSources().getSourceConfigs();
+	return Object.keys( sources ).sort()
+		.map( ( id ) => ( { id, source: sources[ id ] } ) )
+		.filter( ( { source } ) => ( source.public || allPublic ) && !source.isDisabled &&
+			getSourceFormats( source ).length );
+}
+
+/**
+ * Build the TileMatrixSet element
+ *
+ * @param {string|undefined} scale
+ * @param {number} maxZoom
+ * @return {string}
+ */
+function buildMatrixSet( scale, maxZoom ) {
+	const ratio = scale === undefined ? 1 : parseFloat( scale );
+	const tileSize = Math.round( 256 * ratio );
+	let xml = `<TileMatrixSet><ows:Identifier>${getMatrixSetId( scale )}</ows:Identifier>` +
+		'<ows:SupportedCRS>urn:ogc:def:crs:EPSG::3857</ows:SupportedCRS>';
+	if ( scale === undefined ) {
+		// the scaled sets have bigger tiles and other scale denominators than the well-known set
+		xml += '<WellKnownScaleSet>urn:ogc:def:wkss:OGC:1.0:GoogleMapsCompatible</WellKnownScaleSet>';
+	}
+	for ( let z = 0; z <= maxZoom; z++ ) {
+		const size = 2 ** z;
+		xml += `<TileMatrix><ows:Identifier>${z}</ows:Identifier>` +
+			`<ScaleDenominator>${scaleDenominator / size / ratio}</ScaleDenominator>` +
+			`<TopLeftCorner>${topLeftCorner}</TopLeftCorner>` +
+			`<TileWidth>${tileSize}</TileWidth><TileHeight>${tileSize}</TileHeight>` +
+			`<MatrixWidth>${size}</MatrixWidth><MatrixHeight>${size}</MatrixHeight></TileMatrix>`;
+	}
+	return `${xml}</TileMatrixSet>`;
+}
+
+/**
+ * Build the Layer element of the source
+ *
+ * @param {string} baseUrl
+ * @param {string} id
+ * @param {Object} source
+ * @param {number} maxZoom of the tile matrix sets
+ * @return {string}
+ */
+function buildLayer( baseUrl, id, source, maxZoom ) {
+	const formats = getSourceFormats( source );
+	const minzoom = source.minzoom || 0;
+	const maxzoom = source.maxzoom === undefined ? maxZoom : source.maxzoom;
+	let xml = `<Layer><ows:Title>${escapeXml( id )}</ows:Title>` +
+		'<ows:WGS84BoundingBox><ows:LowerCorner>-180 -85.0511287798</ows:LowerCorner>' +
+		'<ows:UpperCorner>180 85.0511287798</ows:UpperCorner></ows:WGS84BoundingBox>' +
+		`<ows:Identifier>${escapeXml( id )}</ows:Identifier>` +
+		'<Style isDefault="true"><ows:Identifier>default</ows:Identifier></Style>';
+	for ( const format of formats ) {
+		xml += `<Format>${wmtsFormats[ format ]}</Format>`;
+	}
+	for ( const scale of [ undefined ].concat( source.scales || [] ) ) {
+		xml += `<TileMatrixSetLink><TileMatrixSet>${getMatrixSetId( scale )}</TileMatrixSet>` +
+			'<TileMatrixSetLimits>';
+		for ( let z = minzoom; z <= maxzoom; z++ ) {
+			xml += `<TileMatrixLimits><TileMatrix>${z}</TileMatrix>` +
+				`<MinTileRow>0</MinTileRow><MaxTileRow>${2 ** z - 1}</MaxTileRow>` +
+				`<MinTileCol>0</MinTileCol><MaxTileCol>${2 ** z - 1}</MaxTileCol></TileMatrixLimits>`;
+		}
+		xml += '</TileMatrixSetLimits></TileMatrixSetLink>';
+	}
+	for ( const format of formats ) {
+		const template = `${baseUrl}/wmts/1.0.0/${id}/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.${format}`;
+		xml += `<ResourceURL format="${wmtsFormats[ format ]}" resourceType="tile" ` +
+			`template="${escapeXml( template )}"/>`;
+	}
+	return `${xml}</Layer>`;
+}
+
+/**
+ * Build the WMTS capabilities document
+ *
+ * @param {string} baseUrl of the service
+ * @param {Object[]} sources list of {id, source}
+ * @return {string}
+ */
+function buildCapabilities( baseUrl, sources ) {
+	const maxZoom = _.reduce( sources, ( memo, { source } ) =>
+		Math.max( memo, source.maxzoom === undefined ? defaultMaxZoom : source.maxzoom ), 0 );
+	const scales = _.uniq( _.flatten( _.map( sources, ( { source } ) => source.scales || [] ) ) );
+	const kvpUrl = escapeXml( `${baseUrl}/wmts?` );
+	const operation = ( name ) => `<ows:Operation name="${name}"><ows:DCP><ows:HTTP>` +
+		`<ows:Get xlink:href="${kvpUrl}"><ows:Constraint name="GetEncoding"><ows:AllowedValues>` +
+		'<ows:Value>KVP</ows:Value></ows:AllowedValues></ows:Constraint></ows:Get>' +
+		'</ows:HTTP></ows:DCP></ows:Operation>';
+
+	return '<?xml version="1.0" encoding="UTF-8"?>' +
+		'<Capabilities xmlns="http://www.opengis.net/wmts/1.0" ' +
+		'xmlns:ows="http://www.opengis.net/ows/1.1" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+		'version="1.0.0">' +
+		'<ows:ServiceIdentification><ows:Title>Kartotherian</ows:Title>' +
+		'<ows:ServiceType>OGC WMTS</ows:ServiceType>' +
+		'<ows:ServiceTypeVersion>1.0.0</ows:ServiceTypeVersion></ows:ServiceIdentification>' +
+		`<ows:OperationsMetadata>${operation( 'GetCapabilities' )}${operation( 'GetTile' )}` +
+		'</ows:OperationsMetadata><Contents>' +
+		sources.map( ( { id, source } ) => buildLayer( baseUrl, id, source, maxZoom ) ).join( '' ) +
+		[ undefined ].concat( scales ).map( ( scale ) => buildMatrixSet( scale, maxZoom ) ).join( '' ) +
+		'</Contents>' +
+		`<ServiceMetadataURL xlink:href="${escapeXml( `${baseUrl}/wmts/1.0.0/WMTSCapabilities.xml` )}"/>` +
+		'</Capabilities>';
+}
+
+/**
+ * Web server (express) route handler to get the capabilities document
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ * @return {Promise}
+ */
+function capabilitiesHandler( req, res, next ) {
+	const start = Date.now();
+
+	return Promise.try( () => {
+		const baseUrl = `${req.protocol}://${req.get( 'host' )}${req.baseUrl || ''}`;
+		const xml = buildCapabilities( baseUrl, getPublicSources() );
+
+		core.setResponseHeaders( res );
+		res.type( 'application/xml' ).send( xml );
+
+		core.metrics.endTiming( 'req.wmts.capabilities', start );
+	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next );
+}
+
+/**
+ * Pass the WMTS tile request to the regular tile handler
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ * @param {Object} params WMTS request params - layer, style, matrixSet, matrix, row, col, format
+ * @return {Promise}
+ */
+function getTile( req, res, next, params ) {
+	return Promise.try( () => {
+		if ( params.style !== 'default' ) {
+			throw new Err( 'Unknown style %j', params.style ).metrics( 'err.req.wmts' );
+		}
+		const match = /^GoogleMapsCompatible(?:@([.\d]+)x)?$/.exec( params.matrixSet || '' );
+		if ( !match ) {
+			throw new Err( 'Unknown tile matrix set %j', params.matrixSet ).metrics( 'err.req.wmts' );
+		}
+		// KVP requests use the content type, REST requests the file extension
+		const format = _.findKey(
+			wmtsFormats, ( type, f ) => params.format === type || params.format === f
+		);
+		if ( !format ) {
+			throw new Err( 'Format %s is not known', params.format ).metrics( 'err.req.format' );
+		}
+		if ( ![ params.matrix, params.row, params.col ].every( ( v ) => /^\d+$/.test( v ) ) ) {
+			throw new Err( 'Tile matrix, row, and col must be integers' ).metrics( 'err.req.coords' );
+		}
+		req.params = {
+			src: params.layer,
+			z: params.matrix,
+			x: params.col,
+			y: params.row,
+			format
+		};
+		if ( match[ 1 ] !== undefined ) {
+			req.params.scale = match[ 1 ];
+		}
+	} ).then(
+		() => tiles.requestHandler( req, res, next ),
+		( err ) => core.reportRequestError( err, res )
+	).catch( next );
+}
+
+/**
+ * Web server (express) route handler of the KVP requests -
+ * /wmts?SERVICE=WMTS&REQUEST=GetTile&LAYER=...
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Promise} next will be called if request is not handled
+ * @return {Promise|undefined}
+ */
+function kvpHandler( req, res, next ) {
+	// OGC parameter names are case-insensitive
+	const query = {};
+	_.each( req.query, ( value, key ) => {
+		query[ key.toLowerCase() ] = value;
+	} );
+
+	switch ( query.request ) {
+		case 'GetCapabilities':
+			return capabilitiesHandler( req, res, next );
+		case 'GetTile':
+			return getTile( req, res, next, {
+				layer: query.layer,
+				style: query.style,
+				matrixSet: query.tilematrixset,
+				matrix: query.tilematrix,
+				row: query.tilerow,
+				col: query.tilecol,
+				format: query.format
+			} );
+		default:
+			return core.reportRequestError(
+				new Err( 'Unknown request %j', query.request ).metrics( 'err.req.wmts' ), res
+			);
+	}
+}
+
+module.exports = function wmts( cor, router ) {
+	core = cor;
+
+	// KVP GetCapabilities and GetTile
+	router.get( '/wmts', kvpHandler );
+	// RESTful capabilities and tiles, with the same tile matrix row/col order as in WMTS
+	router.get( '/wmts/1.0.0/WMTSCapabilities.xml', capabilitiesHandler );
+	router.get(
+		`/wmts/1.0.0/:src(${core.Sources.sourceIdReStr})/:style/:matrixSet/:z(\\d+)/:y(\\d+)/:x(\\d+).:format([\\w]+)`,
+		( req, res, next ) => getTile( req, res, next, {
+			layer: req.params.src,
+			style: req.params.style,
+			matrixSet: req.params.matrixSet,
+			matrix: req.params.z,
+			row: req.params.y,
+			col: req.params.x,
+			format: req.params.format
+		} )
+	);
+};
+
+module.exports.buildCapabilities = buildCapabilities;
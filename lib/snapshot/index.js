@@ -7,6 +7,7 @@ const abaculus = Promise.promisify( require( '@kartotherian/abaculus' ), { multi
 const Overlay = require( '@kartotherian/tilelive-overlay' );
 const _ = require( 'underscore' );
 const checkType = require( '../input-validator' );
+const encoding = require( '../encoding' );
 const makeDomainValidator = require( 'domain-validator' );
 const autoPosition = require( './autoPosition' );
 
@@ -22,6 +23,21 @@ let mapnik;
  */
 const floatRe = /^-?\d+(?:[.,]\d*?)?$/;
 
+/**
+ * Snapshots are compressed more than tiles, unless the source sets its own compression
+ *
+ * @type {Object}
+ */
+const snapshotEncoding = { png: { compression: 9 } };
+
+/**
+ * Formats of the static images, with and without overlays
+ *
+ * @type {string[]}
+ */
+const staticFormats = [ 'png', 'jpeg', 'webp' ];
+const overlayFormats = [ 'png', 'webp' ];
+
 /**
  * Converts value to float if possible, or returns the original
  *
@@ -40,10 +56,11 @@ function strToFloat( value ) {
  *
  * @param {Object} params
  * @param {Object} tileSource
+ * @param {Deadline} deadline stops fetching tiles once expired
  * @return {{zoom: number, scale: number, center: {y: number, x: number, w:
  *  number, h: number}, format: string, getTile: Function}}
  */
-function makeParams( params, tileSource ) {
+function makeParams( params, tileSource, deadline ) {
 	return {
 		zoom: params.zoom,
 		scale: params.scale,
@@ -55,6 +72,9 @@ function makeParams( params, tileSource ) {
 		},
 		format: params.format,
 		getTile( z, x, y, cb ) {
+			if ( deadline.error ) {
+				return cb( deadline.error );
+			}
 			if ( typeof tileSource.getAsync === 'function' ) {
 				const opts = {
 					type: 'tile',
@@ -64,7 +84,7 @@ function makeParams( params, tileSource ) {
 					scale: params.scale,
 					lang: params.lang
 				};
-				return tileSource.getAsync( opts )
+				return deadline.run( tileSource.getAsync( opts ) )
 					.then( ( data ) => cb( undefined, data.data, data.headers ) )
 					.catch( ( err ) => cb( err ) );
 			}
@@ -74,6 +94,24 @@ function makeParams( params, tileSource ) {
 	};
 }
 
+/**
+ * Encode the stitched image in the requested format, with the encoding settings of the source,
+ * the same way the tiles are encoded
+ *
+ * @param {mapnik.Image} image
+ * @param {Object} params request params with the format
+ * @param {Object} source
+ * @param {Deadline} deadline
+ * @return {Promise<Buffer>}
+ */
+function encodeImageAsync( image, params, source, deadline ) {
+	// Don't encode the image if nobody is waiting for it
+	deadline.check();
+	return image.encodeAsync(
+		encoding.getFormat( params.format, source.encoding, snapshotEncoding )
+	);
+}
+
 /**
  * Web server (express) route handler to get a snapshot image
  *
@@ -88,9 +126,14 @@ function requestHandler( req, res, next ) {
 	const params = req && req.params;
 	const qparams = req && req.query;
 	const start = Date.now();
+	let deadline;
+	let negotiated = false;
 
 	return Promise.try( () => {
 		source = core.getPublicSource( params.src );
+		// Per-source timeout overrides the timeout of all snapshot requests
+		const timeouts = core.getConfiguration().timeouts || {};
+		deadline = new core.Deadline( source.timeout || timeouts.snapshot, res );
 
 		if ( qparams.lang ) {
 			params.lang = qparams.lang;
@@ -109,7 +152,14 @@ function requestHandler( req, res, next ) {
 		if ( !source.static ) {
 			throw new Err( 'Static snapshot images are not enabled for this source' ).metrics( 'err.req.static' );
 		}
-		if ( ( params.format !== 'png' && params.format !== 'jpeg' ) || !_.contains( source.formats, params.format ) ) {
+		if ( params.format === 'auto' && _.contains( source.formats, 'auto' ) ) {
+			const allowed = qparams.domain || qparams.title ? overlayFormats : staticFormats;
+			params.format = encoding.negotiate( req, _.intersection( source.formats, allowed ) );
+			negotiated = true;
+		}
+		if ( !_.contains( staticFormats, params.format ) ||
+			!_.contains( source.formats, params.format )
+		) {
 			throw new Err( 'Format %s is not allowed for static images', params.format ).metrics( 'err.req.stformat' );
 		}
 		params.w = checkType.strToInt( params.w );
@@ -144,7 +194,13 @@ function requestHandler( req, res, next ) {
 			if ( typeof params.lat !== 'number' || typeof params.lon !== 'number' ) {
 				throw new Err( 'The lat and lon coordinates must be numeric for static images' ).metrics( 'err.req.stcoords' );
 			}
-			return abaculus( makeParams( params, source.getHandler() ) );
+			// tiles are stitched losslessly, and only the result is encoded as requested
+			const layerParams = Object.assign( {}, params, { format: 'png' } );
+			const baseMapParams = makeParams( layerParams, source.getHandler(), deadline );
+			return deadline.run( abaculus( baseMapParams ) )
+				.spread( ( data, headers ) => deadline.run( mapnik.Image.fromBytesAsync( data ) )
+					.then( ( image ) => encodeImageAsync( image, params, source, deadline ) )
+					.then( ( encoded ) => [ encoded, headers ] ) );
 		}
 
 		if ( !mapdataLoader ) {
@@ -158,8 +214,8 @@ function requestHandler( req, res, next ) {
 		} else {
 			throw new Err( 'A comma-separated list of groups is required' ).metrics( 'err.req.stgroups' );
 		}
-		if ( params.format !== 'png' ) {
-			throw new Err( 'Only png format is allowed for images with overlays' ).metrics( 'err.req.stnonpng' );
+		if ( !_.contains( overlayFormats, params.format ) ) {
+			throw new Err( 'Only png and webp formats are allowed for images with overlays' ).metrics( 'err.req.stnonpng' );
 		}
 		if ( qparams.title.indexOf( '|' ) !== -1 ) {
 			throw new Err( 'title param may not contain pipe "|" symbol' ).metrics( 'err.req.stpipe' );
@@ -175,10 +231,10 @@ function requestHandler( req, res, next ) {
 		let baseMapHdrs = {};
 		const isVersioned = core.getConfiguration().versioned_maps !== false;
 
-		return mapdataLoader(
+		return deadline.run( mapdataLoader(
 			req, protocol, withoutProtocol, qparams.title,
 			isVersioned && qparams.revid, qparams.groups
-		).then( ( geojson ) => {
+		) ).then( ( geojson ) => {
 			let mapPosition;
 
 			if ( useAutoPositioning ) {
@@ -191,8 +247,11 @@ function requestHandler( req, res, next ) {
 				params.lon = strToFloat( params.lon );
 			}
 			params.zoom = core.validateZoom( params.zoom, source );
+			// both layers are stitched losslessly, and only the result is encoded as requested
+			const layerParams = Object.assign( {}, params, { format: 'png' } );
 
-			const renderBaseMap = abaculus( makeParams( params, source.getHandler() ) )
+			const baseMapParams = makeParams( layerParams, source.getHandler(), deadline );
+			const renderBaseMap = abaculus( baseMapParams )
 				.spread( ( data, headers ) => {
 					baseMapHdrs = headers;
 					return mapnik.Image.fromBytesAsync( data );
@@ -208,11 +267,11 @@ function requestHandler( req, res, next ) {
 					if ( err ) { reject( err ); }
 					accept( overlay );
 				} );
-			} ) ).then( ( overlay ) => abaculus( makeParams( params, overlay ) ) )
+			} ) ).then( ( overlay ) => abaculus( makeParams( layerParams, overlay, deadline ) ) )
 				.then( ( overlayBuf ) => mapnik.Image.fromBytesAsync( overlayBuf[ 0 ] ) )
 				.then( ( image ) => image.premultiplyAsync() );
 
-			return Promise.join(
+			return deadline.run( Promise.join(
 				renderBaseMap,
 				renderOverlayMap,
 				( baseImage, overlayImage ) =>
@@ -222,11 +281,14 @@ function requestHandler( req, res, next ) {
 				//     // Not sure if this step is needed - result appears identical
 				//     return image.demultiplyAsync();
 
-			);
+			) );
 		} )
-			.then( ( image ) => image.encodeAsync( 'png8:m=h:z=9' ) ).then( ( image ) => [ image, baseMapHdrs ] );
+			.then( ( image ) => encodeImageAsync( image, params, source, deadline ) )
+			.then( ( image ) => [ image, baseMapHdrs ] );
 	} ).spread( ( data, dataHeaders ) => {
-		core.setResponseHeaders( res, source, dataHeaders );
+		dataHeaders = Object.assign( {}, dataHeaders );
+		dataHeaders[ 'Content-Type' ] = encoding.contentTypes[ params.format ];
+		core.setResponseHeaders( res, source, dataHeaders, negotiated );
 
 		res.send( data );
 
@@ -237,7 +299,12 @@ function requestHandler( req, res, next ) {
 			mx += `.${scale}`;
 		}
 		core.metrics.endTiming( mx, start );
-	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next );
+	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next )
+		.finally( () => {
+			if ( deadline ) {
+				deadline.clear();
+			}
+		} );
 }
 
 module.exports = function snapshot( cor, router ) {
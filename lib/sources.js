@@ -7,6 +7,8 @@ const yaml = require( 'js-yaml' );
 const fs = require( 'fs' );
 const Err = require( './err' );
 const checkType = require( './input-validator' );
+const encoding = require( './encoding' );
+const glstyle = require( './glstyle' );
 const core = require( './core' );
 const { XmlLoader, YamlLoader } = require( './module-loader' );
 
@@ -220,6 +222,16 @@ Sources.prototype._loadSourceAsync = function _loadSourceAsync( src, sourceId )
 		checkType( src, 'static', 'boolean' );
 		checkType( src, 'maxwidth', 'integer' );
 		checkType( src, 'maxheight', 'integer' );
+		// milliseconds to wait for a tile of this source, overrides the timeouts.tiles config
+		checkType( src, 'timeout', 'integer', undefined, 1 );
+		// raster encoding settings of png, jpeg, and webp images, see lib/encoding.js
+		if ( checkType( src, 'encoding', 'object' ) ) {
+			src.encoding = encoding.validate( src.encoding );
+		}
+		// Mapbox GL / MapLibre style served as /<sourceId>/style.json, see lib/glstyle.js
+		if ( checkType( src, 'glStyle', 'object' ) ) {
+			src.glStyle = glstyle.validate( src.glStyle, core.getAppRootDir() );
+		}
 
 		/**
 		 * Inject info properties into the URI objects to make tilelive-http [1]
@@ -395,7 +407,7 @@ Sources.prototype.getSourceById = function getSourceById( sourceId, dontThrow, a
 		if ( dontThrow ) {
 			return undefined;
 		}
-		throw new Err( 'Unknown source %j', sourceId );
+		throw new Err( 'Unknown source %j', sourceId ).httpStatus( 404 );
 	}
 
 	const source = this._sources[ sourceId ];
@@ -404,7 +416,7 @@ Sources.prototype.getSourceById = function getSourceById( sourceId, dontThrow, a
 		if ( dontThrow ) {
 			return undefined;
 		}
-		throw new Err( 'Source %j is disabled, possibly due to loading errors', sourceId );
+		throw Err.unavailable( 'Source %j is disabled, possibly due to loading errors', sourceId );
 	}
 
 	return source;
@@ -0,0 +1,175 @@
+'use strict';
+
+const fs = require( 'fs' );
+const pathLib = require( 'path' );
+const Promise = require( 'bluebird' );
+const maki = require( 'maki' );
+const Err = require( './err' );
+
+const readdirAsync = Promise.promisify( fs.readdir );
+const readFileAsync = Promise.promisify( fs.readFile );
+
+let core;
+
+/**
+ * Icon sets that can be served as sprite sheets, by the sprite name
+ *
+ * @type {Object}
+ */
+const iconSets = {
+	// same icons as used by the /v4/marker/ (makizushi)
+	maki: pathLib.join( maki.dirname, 'renders' )
+};
+
+/**
+ * Maximum width of the 1x sprite sheet, multiplied by the pixel ratio
+ *
+ * @type {number}
+ */
+const sheetWidth = 512;
+
+/**
+ * Generated sprite sheets, by the name and the pixel ratio
+ *
+ * @type {Map<string, Promise<Object>>}
+ */
+const sprites = new Map();
+
+/**
+ * Get the dimensions of the PNG image from its IHDR chunk
+ *
+ * @param {Buffer} buffer
+ * @return {{width: number, height: number}}
+ */
+function readPngSize( buffer ) {
+	if ( buffer.length < 24 || buffer.readUInt32BE( 0 ) !== 0x89504e47 ||
+		buffer.toString( 'ascii', 12, 16 ) !== 'IHDR'
+	) {
+		throw new Err( 'Icon is not a PNG image' );
+	}
+	return {
+		width: buffer.readUInt32BE( 16 ),
+		height: buffer.readUInt32BE( 20 )
+	};
+}
+
+/**
+ * Place the icons on the sprite sheet, in rows of the icons of a similar height
+ *
+ * @param {Object[]} icons list of {id, width, height}
+ * @param {number} maxWidth of the sheet
+ * @param {number} pixelRatio
+ * @return {{width: number, height: number, layout: Object}} the sheet size, and the
+ *  {x, y, width, height, pixelRatio} position of each icon by its id
+ */
+function makeLayout( icons, maxWidth, pixelRatio ) {
+	const sorted = icons.slice().sort( ( a, b ) =>
+		b.height - a.height || ( a.id < b.id ? -1 : ( a.id > b.id ? 1 : 0 ) )
+	);
+	const layout = {};
+	let width = 0;
+	let x = 0;
+	let y = 0;
+	let rowHeight = 0;
+	for ( const icon of sorted ) {
+		if ( x > 0 && x + icon.width > maxWidth ) {
+			y += rowHeight;
+			x = 0;
+			rowHeight = 0;
+		}
+		layout[ icon.id ] = { x, y, width: icon.width, height: icon.height, pixelRatio };
+		x += icon.width;
+		width = Math.max( width, x );
+		rowHeight = Math.max( rowHeight, icon.height );
+	}
+	return { width, height: y + rowHeight, layout };
+}
+
+/**
+ * Load all icons of the set with the given pixel ratio,
+ * e.g. "cafe-12.png" for 1x, and "cafe-12@2x.png" for 2x
+ *
+ * @param {string} dir
+ * @param {number} pixelRatio 1 or 2
+ * @return {Promise<Object[]>} list of {id, buffer, width, height}
+ */
+function loadIconsAsync( dir, pixelRatio ) {
+	const suffix = pixelRatio === 2 ? '@2x.png' : '.png';
+	return readdirAsync( dir ).then( ( files ) => Promise.map(
+		files.filter( ( file ) => file.endsWith( suffix ) &&
+			( pixelRatio === 2 || !file.endsWith( '@2x.png' ) ) ),
+		( file ) => readFileAsync( pathLib.join( dir, file ) ).then( ( buffer ) => Object.assign(
+			{ id: file.slice( 0, -suffix.length ), buffer }, readPngSize( buffer )
+		) )
+	) );
+}
+
+/**
+ * Build the sprite sheet image and its index
+ *
+ * @param {string} name of the icon set
+ * @param {number} pixelRatio
+ * @return {Promise<{json: Object, png: Buffer}>}
+ */
+function getSpriteAsync( name, pixelRatio ) {
+	const key = `${name}@${pixelRatio}`;
+	let result = sprites.get( key );
+	if ( result ) {
+		return result;
+	}
+	const blendAsync = Promise.promisify( core.mapnik.blend );
+	result = loadIconsAsync( iconSets[ name ], pixelRatio ).then( ( icons ) => {
+		const sheet = makeLayout( icons, sheetWidth * pixelRatio, pixelRatio );
+		return blendAsync(
+			icons.map( ( icon ) => ( {
+				buffer: icon.buffer,
+				x: sheet.layout[ icon.id ].x,
+				y: sheet.layout[ icon.id ].y
+			} ) ),
+			{ width: sheet.width, height: sheet.height, format: 'png' }
+		).then( ( png ) => ( { json: sheet.layout, png } ) );
+	} );
+	// try again on the next request if it has failed
+	result.catch( () => sprites.delete( key ) );
+	sprites.set( key, result );
+	return result;
+}
+
+/**
+ * Web server (express) route handler to get a sprite sheet image or its index
+ *
+ * @param {Object} req request object
+ * @param {Object} res response object
+ * @param {Function} next will be called if request is not handled
+ * @return {Promise}
+ */
+function spriteHandler( req, res, next ) {
+	const start = Date.now();
+	const { params } = req;
+
+	return Promise.try( () => {
+		if ( !Object.prototype.hasOwnProperty.call( iconSets, params.name ) ) {
+			throw new Err( 'Unknown sprite %j', params.name ).metrics( 'err.req.sprite' ).httpStatus( 404 );
+		}
+		return getSpriteAsync( params.name, params.scale === undefined ? 1 : 2 );
+	} ).then( ( sprite ) => {
+		core.setResponseHeaders( res );
+		if ( params.format === 'json' ) {
+			res.json( sprite.json );
+		} else {
+			res.type( 'png' ).send( sprite.png );
+		}
+		core.metrics.endTiming( 'sprite', start );
+	} ).catch( ( err ) => core.reportRequestError( err, res ) ).catch( next );
+}
+
+module.exports = ( cor, router ) => {
+	core = cor;
+
+	// Mapbox GL / MapLibre sprite sheets, e.g. /sprites/maki.json and /sprites/maki@2x.png
+	router.get( '/sprites/:name([-\\w]+):scale(@2x)?.:format(json|png)', spriteHandler );
+};
+
+module.exports.readPngSize = readPngSize;
+module.exports.makeLayout = makeLayout;
+module.exports.loadIconsAsync = loadIconsAsync;
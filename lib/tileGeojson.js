@@ -0,0 +1,61 @@
+'use strict';
+
+const _ = require( 'underscore' );
+const Pbf = require( 'pbf' );
+const { VectorTile } = require( '@mapbox/vector-tile' );
+
+/**
+ * Name of the property with the layer name of each feature in the merged collection
+ *
+ * @type {string}
+ */
+const layerProp = 'vt_layer';
+
+/**
+ * Convert a vector tile into the WGS84 GeoJSON
+ *
+ * @param {Buffer} data uncompressed vector tile
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} [options]
+ * @param {string[]} [options.layers] only include these layers
+ * @param {string[]} [options.props] only include these feature properties
+ * @param {boolean} [options.merge] return a single FeatureCollection, with the layer name
+ *  in the "vt_layer" property of each feature, instead of one collection per layer
+ * @return {Object} FeatureCollection, or FeatureCollections by the layer name
+ */
+function toGeojson( data, z, x, y, options ) {
+	const opts = options || {};
+	const tile = new VectorTile( new Pbf( data ) );
+	const result = {};
+
+	for ( const name of Object.keys( tile.layers ) ) {
+		if ( opts.layers && !_.contains( opts.layers, name ) ) {
+			continue;
+		}
+		const layer = tile.layers[ name ];
+		const features = [];
+		for ( let ind = 0; ind < layer.length; ind++ ) {
+			const feature = layer.feature( ind ).toGeoJSON( x, y, z );
+			feature.properties = opts.props ?
+				_.pick( feature.properties, opts.props ) :
+				Object.assign( {}, feature.properties );
+			if ( opts.merge ) {
+				feature.properties[ layerProp ] = name;
+			}
+			features.push( feature );
+		}
+		result[ name ] = { type: 'FeatureCollection', features };
+	}
+
+	if ( opts.merge ) {
+		return {
+			type: 'FeatureCollection',
+			features: _.flatten( _.pluck( _.values( result ), 'features' ), true )
+		};
+	}
+	return result;
+}
+
+module.exports = toGeojson;
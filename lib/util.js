@@ -5,6 +5,7 @@ const util = require( 'util' );
 const express = require( 'express' );
 const uuid = require( 'cassandra-uuid' );
 const bunyan = require( 'bunyan' );
+const Err = require( './err' );
 
 /**
  * Error instance wrapping HTTP error responses
@@ -146,14 +147,10 @@ function setErrorHandler( app ) {
 				o.message = err.message;
 				errObj = new HTTPError( o );
 			} else {
-				// this is a standard error, convert it
-				errObj = new HTTPError( {
-					status: 500,
-					type: 'internal_error',
-					title: err.name,
-					detail: err.message,
+				// this is a standard error, convert it, keeping the status of Err objects
+				errObj = new HTTPError( Object.assign( Err.toProblem( err ), {
 					stack: err.stack
-				} );
+				} ) );
 			}
 		} else if ( err.constructor === Object ) {
 			// this is a regular object, suppose it's a response
@@ -194,10 +191,11 @@ function setErrorHandler( app ) {
 			type: errObj.type,
 			title: errObj.title,
 			detail: errObj.detail,
+			metrics: errObj.metrics,
 			method: errObj.method,
 			uri: errObj.uri
 		};
-		res.status( errObj.status ).json( respBody );
+		res.status( errObj.status ).type( 'application/problem+json' ).json( respBody );
 	} );
 }
 
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/*
+ Exports tiles of any configured source into an MBTiles file.
+
+ The sources are loaded from the service configuration file the same way the service
+ does it, so any source defined in sources.yaml, public or not, can be exported.
+
+ Usage:
+   node scripts/mbtiles-export.js --config config.yaml --source osm-pbf \
+     --bbox 2.2,48.8,2.5,48.9 --minzoom 0 --maxzoom 14 --output paris.mbtiles
+
+ Options:
+   --config, -c       service config file (default: config.yaml)
+   --source, -s       id of the source to export (required)
+   --output, -o       MBTiles file to write, created if missing (required)
+   --bbox, -b         west,south,east,north in degrees (default: the whole world)
+   --minzoom, -z      first zoom to export (default: 0)
+   --maxzoom, -Z      last zoom to export (default: minzoom)
+   --format, -f       tile format, e.g. pbf, png, jpeg (default: pbf)
+   --scale            scaling for raster tiles, e.g. 2
+   --lang             language of the labels, e.g. en
+   --concurrency      number of tiles to render in parallel (default: 4)
+   --verbose, -v      log info messages
+ */
+'use strict';
+
+const pathLib = require( 'path' );
+const fs = require( 'fs' );
+const yaml = require( 'js-yaml' );
+const Promise = require( 'bluebird' );
+const core = require( '../lib/core' );
+const Err = require( '../lib/err' );
+const encoding = require( '../lib/encoding' );
+const startup = require( '../routes/kartotherian' );
+
+const aliases = {
+	c: 'config', s: 'source', o: 'output', b: 'bbox', z: 'minzoom', Z: 'maxzoom', f: 'format', v: 'verbose'
+};
+
+const maxLat = 85.0511287798;
+
+/**
+ * Parse "--key value", "--key=value", "-k value", and "--flag" arguments
+ *
+ * @param {string[]} args
+ * @return {Object}
+ */
+function parseArgs( args ) {
+	const result = {};
+	for ( let i = 0; i < args.length; i++ ) {
+		const match = /^--?([a-zA-Z]+)(?:=(.*))?$/.exec( args[ i ] );
+		if ( !match ) {
+			throw new Err( 'Unexpected argument %j', args[ i ] );
+		}
+		const key = aliases[ match[ 1 ] ] || match[ 1 ];
+		if ( match[ 2 ] !== undefined ) {
+			result[ key ] = match[ 2 ];
+		} else if ( i + 1 < args.length && !/^--?[a-zA-Z]/.test( args[ i + 1 ] ) ) {
+			result[ key ] = args[ ++i ];
+		} else {
+			result[ key ] = true;
+		}
+	}
+	return result;
+}
+
+/**
+ * @param {number} lon
+ * @param {number} zoom
+ * @return {number}
+ */
+function lonToX( lon, zoom ) {
+	const count = Math.pow( 2, zoom );
+	return Math.min( count - 1, Math.max( 0, Math.floor( ( lon + 180 ) / 360 * count ) ) );
+}
+
+/**
+ * @param {number} lat
+ * @param {number} zoom
+ * @return {number}
+ */
+function latToY( lat, zoom ) {
+	const count = Math.pow( 2, zoom );
+	const rad = Math.min( maxLat, Math.max( -maxLat, lat ) ) * Math.PI / 180;
+	const y = ( 1 - Math.log( Math.tan( rad ) + 1 / Math.cos( rad ) ) / Math.PI ) / 2 * count;
+	return Math.min( count - 1, Math.max( 0, Math.floor( y ) ) );
+}
+
+/**
+ * Get the range of the tiles of the zoom that cover the bounding box
+ *
+ * @param {number[]} bbox west, south, east, north
+ * @param {number} zoom
+ * @return {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+function getTileRange( bbox, zoom ) {
+	return {
+		minX: lonToX( bbox[ 0 ], zoom ),
+		maxX: lonToX( bbox[ 2 ], zoom ),
+		// tile rows go from the north to the south
+		minY: latToY( bbox[ 3 ], zoom ),
+		maxY: latToY( bbox[ 1 ], zoom )
+	};
+}
+
+/**
+ * Validate the parsed command line arguments, and apply the defaults
+ *
+ * @param {Object} argv parsed command line arguments
+ * @return {{format: string, concurrency: number, bbox: number[], minzoom: number,
+ *  maxzoom: number}}
+ */
+function getOptions( argv ) {
+	if ( typeof argv.source !== 'string' || typeof argv.output !== 'string' ) {
+		throw new Err( '--source and --output are required' );
+	}
+	const bbox = ( typeof argv.bbox === 'string' ? argv.bbox : '-180,-85.0511,180,85.0511' )
+		.split( ',' ).map( parseFloat );
+	if ( bbox.length !== 4 || bbox.some( isNaN ) ||
+		bbox[ 0 ] > bbox[ 2 ] || bbox[ 1 ] > bbox[ 3 ]
+	) {
+		throw new Err( '--bbox must be west,south,east,north' );
+	}
+	const minzoom = argv.minzoom !== undefined ? parseInt( argv.minzoom, 10 ) : 0;
+	const maxzoom = argv.maxzoom !== undefined ? parseInt( argv.maxzoom, 10 ) : minzoom;
+	if ( !( minzoom >= 0 && maxzoom >= minzoom && maxzoom <= 26 ) ) {
+		throw new Err( 'Invalid zoom range %s..%s', minzoom, maxzoom );
+	}
+	const concurrency = argv.concurrency !== undefined ? String( argv.concurrency ) : '4';
+	if ( !/^\d+$/.test( concurrency ) || +concurrency < 1 ) {
+		throw new Err( '--concurrency must be a positive integer' );
+	}
+	return {
+		format: argv.format || 'pbf',
+		concurrency: +concurrency,
+		bbox,
+		minzoom,
+		maxzoom
+	};
+}
+
+/**
+ * Load the kartotherian service configuration from the service-runner config file
+ *
+ * @param {string} configPath
+ * @param {boolean} verbose
+ * @return {Object} app-like object, as expected by core.init()
+ */
+function loadApp( configPath, verbose ) {
+	const config = yaml.safeLoad( fs.readFileSync( configPath, 'utf8' ) );
+	const services = ( config && config.services ) || [];
+	const service = services.find( ( s ) => s.name === 'kartotherian' ) ||
+		services[ services.length - 1 ];
+	if ( !service || !service.conf ) {
+		throw new Err( 'Unable to find kartotherian service configuration in %s', configPath );
+	}
+	const noop = () => {};
+	return {
+		conf: service.conf,
+		logger: {
+			log( level, msg ) {
+				if ( verbose || !/^(trace|debug|info)/.test( level ) ) {
+					console.error( `${level}: ${core.errToStr( msg )}` );
+				}
+			}
+		},
+		metrics: {
+			increment: noop, decrement: noop, endTiming: noop, timing: noop, gauge: noop
+		}
+	};
+}
+
+/**
+ * @param {Object} argv parsed command line arguments
+ * @return {Promise}
+ */
+function exportTiles( argv ) {
+	let handler;
+	let sourceEncoding;
+	let output;
+	let written = 0;
+	let missing = 0;
+	let format;
+	let concurrency;
+	let bbox;
+	let minzoom;
+	let maxzoom;
+
+	return Promise.try( () => {
+		( { format, concurrency, bbox, minzoom, maxzoom } = getOptions( argv ) );
+
+		const configPath = pathLib.resolve( typeof argv.config === 'string' ? argv.config : 'config.yaml' );
+		const app = loadApp( configPath, !!argv.verbose );
+		return startup.bootstrap( app ).then( () => {
+			const sources = new core.Sources();
+			return sources.init( app.conf );
+		} );
+	} ).then( ( sources ) => {
+		core.setSources( sources );
+		core.registerTileliveModule( '@mapbox/mbtiles' );
+		const source = sources.getSourceById( argv.source );
+		handler = source.getHandler();
+		sourceEncoding = source.encoding;
+		return core.loadSource( `mbtiles://${pathLib.resolve( argv.output )}` );
+	} ).then( ( mbtiles ) => {
+		output = mbtiles;
+		return Promise.all( [ handler.getInfoAsync(), output.startWritingAsync() ] );
+	} ).spread( ( sourceInfo ) => {
+		const info = Object.assign( {}, sourceInfo, {
+			name: sourceInfo.name || argv.source,
+			format,
+			minzoom,
+			maxzoom,
+			bounds: bbox,
+			center: [ ( bbox[ 0 ] + bbox[ 2 ] ) / 2, ( bbox[ 1 ] + bbox[ 3 ] ) / 2, minzoom ]
+		} );
+		// tile URLs and tilejson version are meaningless inside the MBTiles file
+		delete info.tiles;
+		delete info.tilejson;
+		return output.putInfoAsync( info );
+	} ).then( () => {
+		const zooms = [];
+		for ( let z = minzoom; z <= maxzoom; z++ ) {
+			zooms.push( z );
+		}
+		return Promise.each( zooms, ( z ) => {
+			const range = getTileRange( bbox, z );
+			const xs = [];
+			for ( let x = range.minX; x <= range.maxX; x++ ) {
+				xs.push( x );
+			}
+			const ys = [];
+			for ( let y = range.minY; y <= range.maxY; y++ ) {
+				ys.push( y );
+			}
+			return Promise.each( xs, ( x ) => Promise.map( ys, ( y ) => {
+				const opts = { z, x, y, lang: argv.lang };
+				if ( format !== 'pbf' ) {
+					// Same encoding settings of the source as the tile requests
+					opts.format = encoding.getFormat( format, sourceEncoding );
+					if ( argv.scale ) {
+						opts.scale = parseFloat( argv.scale );
+					}
+				}
+				return handler.getAsync( opts ).then( ( res ) => {
+					if ( format === 'pbf' ) {
+						// MBTiles spec requires vector tiles to be gzipped
+						return core.uncompressAsync( res.data, res.headers )
+							.then( ( data ) => core.compressPbfAsync( { data, headers: {} } ) );
+					}
+					return res;
+				} ).then( ( res ) => {
+					if ( !res.data || res.data.length === 0 ) {
+						missing++;
+						return undefined;
+					}
+					written++;
+					return output.putTileAsync( z, x, y, res.data );
+				} ).catch( ( err ) => {
+					if ( !Err.isNoTileError( err ) ) {
+						throw err;
+					}
+					missing++;
+				} );
+			}, { concurrency } ) ).then( () => {
+				console.error( `zoom ${z} done, ${written} tiles written, ${missing} missing` );
+			} );
+		} );
+	} ).then( () => output.stopWritingAsync() )
+		.then( () => output.closeAsync() );
+}
+
+if ( require.main === module ) {
+	Promise.try( () => exportTiles( parseArgs( process.argv.slice( 2 ) ) ) )
+		.catch( ( err ) => {
+			console.error( core.errToStr( err ) );
+			process.exitCode = 1;
+		} ).finally( () => {
+			// Some tilelive sources keep their connections open, don't wait for them
+			// eslint-disable-next-line no-process-exit
+			process.exit();
+		} );
+}
+
+module.exports = { parseArgs, getOptions, getTileRange };
@@ -0,0 +1,143 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const zlib = require( 'zlib' );
+const tileCodec = require( '../lib/babel/tileCodec' );
+const Err = require( '../lib/err' );
+const Composite = require( '../lib/composite' );
+
+const newComposite = Promise.promisify( ( uri, cb ) => new Composite( uri, cb ) );
+
+function layer( name, tags ) {
+	return {
+		name,
+		version: 2,
+		extent: 4096,
+		keys: Object.keys( tags ),
+		values: Object.keys( tags ).map( ( k ) => ( { tag: 1, value: tags[ k ] } ) ),
+		features: [ {
+			type: 1,
+			geometry: [ 9, 50, 34 ],
+			tags: Object.keys( tags ).reduce( ( acc, k, ind ) => acc.concat( [ ind, ind ] ), [] )
+		} ]
+	};
+}
+
+const tiles = {
+	base: {
+		tile: { layers: [ layer( 'water', { class: 'lake' } ), layer( 'boundary', { admin: '2' } ) ] },
+		info: { minzoom: 0, maxzoom: 14, vector_layers: [ { id: 'water' }, { id: 'boundary', fields: { admin: 'String' } } ] }
+	},
+	extra: {
+		tile: { layers: [ layer( 'boundary', { name: 'Paris', admin: '8' } ) ] },
+		info: { minzoom: 2, maxzoom: 16, vector_layers: [ { id: 'boundary', fields: { name: 'String' } } ] }
+	},
+	taken: {
+		tile: { layers: [ layer( 'boundary', { admin: '4' } ), layer( 'boundary_2', { admin: '6' } ) ] }
+	},
+	empty: {}
+};
+
+describe( 'composite', () => {
+	beforeEach( () => {
+		Composite.initKartotherian( {
+			tilelive: { protocols: {} },
+			uncompressAsync: ( data ) => Promise.resolve( data ),
+			compressPbfAsync: ( res ) => {
+				res.data = zlib.gzipSync( res.data );
+				res.headers[ 'Content-Encoding' ] = 'gzip';
+				return Promise.resolve( res );
+			},
+			loadSource: ( src ) => Promise.resolve( {
+				getAsync: ( opts ) => Promise.try( () => {
+					const value = tiles[ src ];
+					if ( opts.type === 'info' ) {
+						return { data: value.info || {} };
+					}
+					if ( !value.tile ) {
+						Err.throwNoTile();
+					}
+					return { data: tileCodec.encodeTile( value.tile ), headers: {} };
+				} )
+			} )
+		} );
+	} );
+
+	function getTile( query ) {
+		return newComposite( { protocol: 'composite:', query } )
+			.then( ( source ) => source.getAsync( { z: 1, x: 0, y: 0 } ) )
+			.then( ( res ) => {
+				assert.strictEqual( res.headers[ 'Content-Type' ], 'application/x-protobuf' );
+				return tileCodec.decodeTile( zlib.gunzipSync( res.data ) ).layers;
+			} );
+	}
+
+	function getTags( lyr ) {
+		return lyr.features.map( ( f ) => {
+			const result = {};
+			for ( let i = 0; i < f.tags.length; i += 2 ) {
+				result[ lyr.keys[ f.tags[ i ] ] ] = lyr.values[ f.tags[ i + 1 ] ].value;
+			}
+			return result;
+		} );
+	}
+
+	test( 'rename', () => getTile( { sources: [ 'base', 'extra', 'empty' ] } ).then( ( layers ) => {
+		assert.deepStrictEqual( layers.map( ( l ) => l.name ), [ 'water', 'boundary', 'boundary_2' ] );
+	} ) );
+
+	test( 'rename to a unique name', () => Promise.all( [
+		getTile( { sources: [ 'base', 'taken' ] } ),
+		getTile( { sources: [ 'base', 'extra', 'taken' ] } )
+	] ).spread( ( two, three ) => {
+		assert.deepStrictEqual( two.map( ( l ) => l.name ), [ 'water', 'boundary', 'boundary_3', 'boundary_2' ] );
+		assert.deepStrictEqual( three.map( ( l ) => l.name ), [
+			'water', 'boundary', 'boundary_2', 'boundary_3', 'boundary_2_3'
+		] );
+	} ) );
+
+	test( 'prefixes and rename map', () => getTile( {
+		sources: [ 'base', 'extra' ],
+		prefixes: [ '', 'x_' ],
+		rename: { x_boundary: 'cities' }
+	} ).then( ( layers ) => {
+		assert.deepStrictEqual( layers.map( ( l ) => l.name ), [ 'water', 'boundary', 'cities' ] );
+	} ) );
+
+	test( 'merge', () => getTile( { sources: [ 'base', 'extra' ], conflict: 'merge' } ).then( ( layers ) => {
+		assert.deepStrictEqual( layers.map( ( l ) => l.name ), [ 'water', 'boundary' ] );
+		assert.deepStrictEqual( getTags( layers[ 1 ] ), [
+			{ admin: '2' },
+			{ name: 'Paris', admin: '8' }
+		] );
+	} ) );
+
+	test( 'first and last', () => Promise.all( [
+		getTile( { sources: [ 'base', 'extra' ], conflict: 'first' } ),
+		getTile( { sources: [ 'base', 'extra' ], conflict: 'last' } )
+	] ).spread( ( first, last ) => {
+		assert.deepStrictEqual( getTags( first[ 1 ] ), [ { admin: '2' } ] );
+		assert.deepStrictEqual( last.map( ( l ) => l.name ), [ 'water', 'boundary' ] );
+		assert.deepStrictEqual( getTags( last[ 1 ] ), [ { name: 'Paris', admin: '8' } ] );
+	} ) );
+
+	test( 'missing', () => getTile( { sources: [ 'empty' ] } ).then(
+		() => assert.fail( 'should have thrown' ),
+		( err ) => assert( Err.isNoTileError( err ), err.message )
+	) );
+
+	test( 'info', () => newComposite( {
+		protocol: 'composite:',
+		query: { sources: [ 'base', 'extra' ], conflict: 'merge' }
+	} ).then( ( source ) => source.getAsync( { type: 'info' } ) ).then( ( res ) => {
+		assert.deepStrictEqual( res.data, {
+			minzoom: 0,
+			maxzoom: 16,
+			vector_layers: [
+				{ id: 'water' },
+				{ id: 'boundary', fields: { admin: 'String', name: 'String' } }
+			]
+		} );
+	} ) );
+} );
@@ -0,0 +1,54 @@
+'use strict';
+
+const assert = require( 'assert' );
+const EventEmitter = require( 'events' );
+const Promise = require( 'bluebird' );
+const Err = require( '../lib/err' );
+const Deadline = require( '../lib/deadline' );
+
+describe( 'Deadline', () => {
+	it( 'resolves with the result before the timeout', () => {
+		const deadline = new Deadline( 100 );
+		return deadline.run( Promise.delay( 5 ).return( 'ok' ) ).then( ( result ) => {
+			assert.strictEqual( result, 'ok' );
+			assert.strictEqual( deadline.error, undefined );
+			deadline.clear();
+		} );
+	} );
+
+	it( 'rejects with the timeout error', () => {
+		const deadline = new Deadline( 10 );
+		return deadline.run( Promise.delay( 200 ) ).then( () => {
+			throw new Error( 'expected an error' );
+		}, ( err ) => {
+			assert.ok( Err.isTimeoutError( err ) );
+			assert.throws( () => deadline.check(), /timed out after 10 ms/ );
+			// later work is rejected right away
+			return deadline.run( 'late' ).then( () => {
+				throw new Error( 'expected an error' );
+			}, ( err2 ) => assert.strictEqual( err2, err ) );
+		} );
+	} );
+
+	it( 'expires when the client disconnects', () => {
+		const res = new EventEmitter();
+		const deadline = new Deadline( undefined, res );
+		const result = deadline.run( Promise.delay( 200 ) );
+		res.emit( 'close' );
+		return result.then( () => {
+			throw new Error( 'expected an error' );
+		}, ( err ) => {
+			assert.strictEqual( err.message, 'Client disconnected' );
+			assert.strictEqual( res.listenerCount( 'close' ), 0 );
+		} );
+	} );
+
+	it( 'ignores the close event of a finished response', () => {
+		const res = new EventEmitter();
+		res.writableFinished = true;
+		const deadline = new Deadline( undefined, res );
+		res.emit( 'close' );
+		assert.strictEqual( deadline.error, undefined );
+		deadline.clear();
+	} );
+} );
@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const pathLib = require( 'path' );
+const zlib = require( 'zlib' );
+const DiskCache = require( '../lib/diskcache' );
+
+const { makeCore, sourceFactory } = require( './utils/protocol' );
+
+const create = sourceFactory( DiskCache, {
+	protocol: 'diskcache:',
+	pathname: 'tiles',
+	query: { source: 'a' }
+} );
+
+describe( 'diskcache', () => {
+	let dir;
+	let calls;
+
+	beforeEach( () => {
+		dir = fs.mkdtempSync( pathLib.join( os.tmpdir(), 'diskcache-' ) );
+		calls = 0;
+		DiskCache.initKartotherian( makeCore( {
+			getAppRootDir: () => dir,
+			loadSource: () => Promise.resolve( {
+				getAsync: ( opts ) => {
+					calls++;
+					return Promise.resolve( { data: Buffer.from( `tile ${opts.z}/${opts.x}/${opts.y}` ), headers: {} } );
+				}
+			} )
+		} ) );
+	} );
+
+	afterEach( () => fs.rmSync( dir, { recursive: true, force: true } ) );
+
+	it( 'stores tiles in z/x/y layout', () => create().then( ( cache ) => cache.getAsync( { z: 3, x: 2, y: 1 } )
+		.then( () => cache.getAsync( { z: 3, x: 2, y: 1 } ) )
+		.then( ( res ) => {
+			assert.strictEqual( calls, 1 );
+			assert.strictEqual( res.data.toString(), 'tile 3/2/1' );
+			assert.strictEqual( res.headers[ 'Content-Type' ], 'application/x-protobuf' );
+			assert.ok( fs.existsSync( pathLib.join( dir, 'tiles', '3', '2', '1.pbf' ) ) );
+		} ) ) );
+
+	it( 'stores compressed tiles', () => create( { compress: true } ).then( ( cache ) => cache.getAsync( { z: 1, x: 0, y: 0 } )
+		.then( () => cache.getAsync( { z: 1, x: 0, y: 0 } ) )
+		.then( ( res ) => {
+			assert.strictEqual( res.headers[ 'Content-Encoding' ], 'gzip' );
+			assert.strictEqual( zlib.gunzipSync( res.data ).toString(), 'tile 1/0/0' );
+		} ) ) );
+
+	it( 'refetches tiles older than maxage', () => create( { maxage: 60 } ).then( ( cache ) => cache.getAsync( { z: 1, x: 0, y: 0 } )
+		.then( () => {
+			const old = new Date( Date.now() - 120000 );
+			fs.utimesSync( pathLib.join( dir, 'tiles', '1', '0', '0.pbf' ), old, old );
+			return cache.getAsync( { z: 1, x: 0, y: 0 } );
+		} )
+		.then( () => {
+			assert.strictEqual( calls, 2 );
+		} ) ) );
+
+	it( 'can be used as storage with putTile', () => create( {}, false ).then( ( cache ) => cache.getAsync( { z: 1, x: 0, y: 0 } )
+		.then( () => assert.fail( 'tile must be missing' ), ( err ) => {
+			assert.strictEqual( err.message, 'Tile does not exist' );
+			return Promise.promisify( cache.putTile, { context: cache } )( 1, 0, 0, Buffer.from( 'abc' ) );
+		} )
+		.then( () => cache.getAsync( { z: 1, x: 0, y: 0 } ) )
+		.then( ( res ) => {
+			assert.strictEqual( res.data.toString(), 'abc' );
+		} ) ) );
+
+	it( 'writes the same tile concurrently', () => create( {}, false ).then( ( cache ) => {
+		const putTile = Promise.promisify( cache.putTile, { context: cache } );
+		return Promise.all( [ 'a', 'b', 'c' ].map( ( v ) => putTile( 1, 0, 0, Buffer.from( v ) ) ) )
+			.then( () => {
+				assert.deepStrictEqual( [ ...fs.readdirSync( pathLib.join( dir, 'tiles', '1', '0' ) ) ], [ '0.pbf' ] );
+			} );
+	} ) );
+
+	it( 'removes the temporary file of a failed write', () => create( {}, false ).then( ( cache ) => {
+		// a directory in place of the tile makes the rename fail
+		fs.mkdirSync( pathLib.join( dir, 'tiles', '1', '0', '0.pbf', 'x' ), { recursive: true } );
+		return Promise.promisify( cache.putTile, { context: cache } )( 1, 0, 0, Buffer.from( 'abc' ) )
+			.then( () => assert.fail( 'write must fail' ), () => {
+				assert.deepStrictEqual( [ ...fs.readdirSync( pathLib.join( dir, 'tiles', '1', '0' ) ) ], [ '0.pbf' ] );
+			} );
+	} ) );
+
+	it( 'invalidates a tile with its variants', () => create().then( ( cache ) => Promise.each(
+		[ {}, { lang: 'en' }, { scale: 2 } ],
+		( opts ) => cache.getAsync( Object.assign( { z: 2, x: 1, y: 1 }, opts ) )
+	).then( () => cache.getAsync( { z: 2, x: 1, y: 10 } ) )
+		.then( () => cache.invalidate( 2, 1, 1 ) )
+		.then( () => {
+			assert.deepStrictEqual( [ ...fs.readdirSync( pathLib.join( dir, 'tiles', '2', '1' ) ) ], [ '10.pbf' ] );
+			return cache.invalidate();
+		} )
+		.then( () => {
+			assert.deepStrictEqual( [ ...fs.readdirSync( pathLib.join( dir, 'tiles' ) ) ], [] );
+		} ) ) );
+} );
@@ -0,0 +1,61 @@
+'use strict';
+
+const assert = require( 'assert' );
+const express = require( 'express' );
+const encoding = require( '../lib/encoding' );
+
+describe( 'encoding', () => {
+	it( 'uses the defaults without settings', () => {
+		assert.strictEqual( encoding.getFormat( 'png' ), 'png8:m=h' );
+		assert.strictEqual( encoding.getFormat( 'jpeg' ), 'jpeg' );
+		assert.strictEqual( encoding.getFormat( 'webp' ), 'webp' );
+		assert.strictEqual( encoding.getFormat( 'pbf' ), 'pbf' );
+		assert.strictEqual(
+			encoding.getFormat( 'png', undefined, { png: { compression: 9 } } ), 'png8:m=h:z=9'
+		);
+	} );
+
+	it( 'builds the format from the source settings', () => {
+		const enc = encoding.validate( {
+			png: { colors: 64, quantizer: 'octree' },
+			jpeg: { quality: '85' },
+			webp: { quality: 80, lossless: true, method: 6 }
+		} );
+		assert.strictEqual( encoding.getFormat( 'png', enc ), 'png8:m=o:c=64' );
+		assert.strictEqual(
+			encoding.getFormat( 'png', enc, { png: { compression: 9 } } ), 'png8:m=o:c=64:z=9'
+		);
+		assert.strictEqual( encoding.getFormat( 'jpeg', enc ), 'jpeg85' );
+		assert.strictEqual( encoding.getFormat( 'webp', enc ), 'webp:quality=80:method=6:lossless=1' );
+		assert.strictEqual(
+			encoding.getFormat( 'png', encoding.validate( { png: { truecolor: true, compression: 2 } } ) ),
+			'png32:z=2'
+		);
+	} );
+
+	it( 'rejects invalid settings', () => {
+		assert.throws( () => encoding.validate( { gif: {} } ), /unknown formats/ );
+		assert.throws( () => encoding.validate( { png: { colors: 300 } } ), /encoding\.png:/ );
+		assert.throws( () => encoding.validate( { png: { quantizer: 'median' } } ), /quantizer/ );
+		assert.throws( () => encoding.validate( { jpeg: { quality: 101 } } ), /quality/ );
+		assert.throws( () => encoding.validate( { webp: { method: 7 } } ), /method/ );
+		assert.throws( () => encoding.validate( [] ), /must be an object/ );
+	} );
+
+	it( 'negotiates the format', () => {
+		const makeReq = ( accept ) => Object.assign( Object.create( express.request ), {
+			headers: accept === undefined ? {} : { accept }
+		} );
+		const negotiate = ( accept, allowed ) => encoding.negotiate( makeReq( accept ), allowed );
+		assert.strictEqual( negotiate( 'image/webp,*/*', [ 'png', 'webp' ] ), 'webp' );
+		assert.strictEqual( negotiate( '*/*', [ 'png', 'webp' ] ), 'png' );
+		assert.strictEqual( negotiate( undefined, [ 'png', 'webp' ] ), 'png' );
+		assert.strictEqual( negotiate( 'image/*', [ 'webp', 'jpeg' ] ), 'jpeg' );
+		assert.strictEqual( negotiate( 'image/webp;q=0,*/*', [ 'jpeg', 'webp' ] ), 'jpeg' );
+		assert.strictEqual( negotiate( 'image/jpeg', [ 'png', 'jpeg' ] ), 'jpeg' );
+		const notAcceptable = ( err ) => err.status === 406;
+		assert.throws( () => negotiate( '*/*', [ 'webp' ] ), notAcceptable );
+		assert.throws( () => negotiate( 'image/webp;q=0', [ 'webp' ] ), notAcceptable );
+		assert.throws( () => negotiate( 'image/gif', [ 'png', 'jpeg' ] ), notAcceptable );
+	} );
+} );
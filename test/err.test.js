@@ -85,4 +85,53 @@ describe( 'Err', () => {
 		assert.strictEqual( Err.isNoTileError( new Error( 'Tile does not exist' ) ), true, 'newErr' );
 		assert.strictEqual( Err.isNoTileError( new Error( ' Tile does not exist' ) ), false, 'newErr2' );
 	} );
+	it( 'timeout', () => {
+		const err = Err.timeout( 100 );
+		assert.ok( err instanceof Err );
+		assert.strictEqual( err.message, 'Request timed out after 100 ms' );
+		assert.strictEqual( err.metrics, 'err.req.timeout' );
+		assert.strictEqual( Err.isTimeoutError( err ), true );
+		assert.strictEqual( Err.isTimeoutError( new Err( 'Request timed out after 100 ms' ) ), false );
+	} );
+	it( 'status', () => {
+		assert.strictEqual( Err.getStatus( Err.timeout( 100 ) ), 504 );
+		assert.strictEqual( Err.getStatus( new Error( 'Tile does not exist' ) ), 404 );
+		assert.strictEqual( Err.getStatus( new Err( 'bad zoom' ).metrics( 'err.req.zoom' ) ), 400 );
+		assert.strictEqual( Err.getStatus( new Err( 'x' ).metrics( 'err.req.x' ).httpStatus( 503 ) ), 503 );
+		assert.strictEqual( Err.getStatus( new Error( 'mapnik crashed' ) ), 500 );
+	} );
+	it( 'upstream failure status', () => {
+		const unavailable = Err.unavailable( 'Source %j is down', 'osm' ).metrics( 'err.x' );
+		assert.strictEqual( unavailable.message, 'Source "osm" is down' );
+		assert.strictEqual( Err.isUnavailableError( unavailable ), true );
+		assert.strictEqual( Err.getStatus( unavailable ), 503 );
+		assert.strictEqual( Err.toProblem( unavailable ).type, 'unavailable' );
+
+		const refused = new Error( 'connect ECONNREFUSED 127.0.0.1:5432' );
+		refused.code = 'ECONNREFUSED';
+		assert.strictEqual( Err.getStatus( refused ), 503 );
+
+		const timedOut = new Error( 'socket hang up' );
+		timedOut.code = 'ETIMEDOUT';
+		assert.strictEqual( Err.getStatus( timedOut ), 504 );
+		const bluebirdTimeout = new Error( 'operation timed out' );
+		bluebirdTimeout.name = 'TimeoutError';
+		assert.strictEqual( Err.getStatus( bluebirdTimeout ), 504 );
+	} );
+	it( 'toProblem', () => {
+		assert.deepStrictEqual(
+			Err.toProblem( new Err( 'Unknown source' ).metrics( 'err.req.source' ).httpStatus( 404 ) ),
+			{
+				type: 'not_found',
+				title: 'Not Found',
+				status: 404,
+				detail: 'Unknown source',
+				metrics: 'err.req.source'
+			}
+		);
+		const problem = Err.toProblem( new Error( 'mapnik crashed' ) );
+		assert.strictEqual( problem.type, 'internal_error' );
+		assert.strictEqual( problem.status, 500 );
+		assert.strictEqual( problem.metrics, undefined );
+	} );
 } );
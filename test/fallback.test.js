@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const Err = require( '../lib/err' );
+const Fallback = require( '../lib/fallback' );
+const { makeCore, sourceFactory } = require( './utils/protocol' );
+
+const newFallback = sourceFactory( Fallback, { protocol: 'fallback:' } );
+
+describe( 'fallback', () => {
+	let metrics;
+	let upstreams;
+	let calls;
+
+	beforeEach( () => {
+		calls = [];
+		upstreams = {
+			ok: () => Promise.resolve( { data: Buffer.from( 'tile' ), headers: { 'Content-Type': 'image/png' } } ),
+			broken: () => Promise.reject( new Error( 'connection refused' ) ),
+			missing: () => Err.throwNoTile(),
+			slow: () => new Promise( () => {} )
+		};
+		const core = makeCore( {
+			loadSource: ( src ) => Promise.resolve( {
+				getAsync: Promise.method( () => {
+					const name = /ref=(\w+)/.exec( src )[ 1 ];
+					calls.push( name );
+					return upstreams[ name ]();
+				} )
+			} )
+		} );
+		metrics = core.metrics.counts;
+		Fallback.initKartotherian( core );
+	} );
+
+	function create( names, query ) {
+		return newFallback(
+			Object.assign( { sources: names.map( ( n ) => `sourceref:///?ref=${n}` ) }, query )
+		);
+	}
+
+	const getTile = ( source ) => source.getAsync( { z: 1, x: 0, y: 0 } );
+
+	test( 'uses the first working upstream', () => create( [ 'broken', 'ok' ] )
+		.then( getTile )
+		.then( ( res ) => {
+			assert.strictEqual( res.data.toString(), 'tile' );
+			assert.strictEqual( res.headers[ 'X-Tile-Upstream' ], 'ok' );
+			assert.strictEqual( res.headers[ 'Content-Type' ], 'image/png' );
+			assert.strictEqual( metrics[ 'fallback.broken.error' ], 1 );
+			assert.strictEqual( metrics[ 'fallback.ok.served' ], 1 );
+		} ) );
+
+	test( 'timeout', () => create( [ 'slow', 'ok' ], { timeout: [ 20, 1000 ], names: [ 'a', 'b' ] } )
+		.then( getTile )
+		.then( ( res ) => {
+			assert.strictEqual( res.headers[ 'X-Tile-Upstream' ], 'b' );
+			assert.strictEqual( metrics[ 'fallback.a.timeout' ], 1 );
+		} ) );
+
+	test( 'missing tile is not a failure', () => create( [ 'missing', 'ok' ] )
+		.then( ( source ) => getTile( source ).then(
+			() => assert.fail( 'should have thrown' ),
+			( err ) => {
+				assert( Err.isNoTileError( err ), err.message );
+				assert.deepStrictEqual( calls, [ 'missing' ] );
+				assert.strictEqual( source.upstreams[ 0 ].failures, 0 );
+			}
+		) ) );
+
+	test( 'fallbackOnMissing', () => create( [ 'missing', 'ok' ], { fallbackOnMissing: true } )
+		.then( getTile )
+		.then( ( res ) => {
+			assert.strictEqual( res.headers[ 'X-Tile-Upstream' ], 'ok' );
+		} ) );
+
+	test( 'circuit breaker', () => create( [ 'broken', 'ok' ], { failures: 2, cooldown: 50 } )
+		.then( ( source ) => Promise.each( [ 1, 2, 3 ], () => getTile( source ) )
+			.then( () => {
+				// the third request skips the broken upstream
+				assert.deepStrictEqual( calls, [ 'broken', 'ok', 'broken', 'ok', 'ok' ] );
+				assert.strictEqual( metrics[ 'fallback.broken.open' ], 1 );
+				assert.strictEqual( metrics[ 'fallback.broken.skipped' ], 1 );
+			} )
+			.delay( 60 )
+			.then( () => getTile( source ) )
+			.then( () => {
+				// after the cooldown, the broken upstream is tried again
+				assert.deepStrictEqual( calls.slice( 5 ), [ 'broken', 'ok' ] );
+			} ) ) );
+
+	test( 'all upstreams fail', () => create( [ 'broken' ] )
+		.then( getTile )
+		.then(
+			() => assert.fail( 'should have thrown' ),
+			( err ) => assert.strictEqual( err.message, 'connection refused' )
+		) );
+
+	test( 'upstream timeout is a gateway timeout', () => create( [ 'slow' ], { timeout: [ 20 ] } )
+		.then( getTile )
+		.then(
+			() => assert.fail( 'should have thrown' ),
+			( err ) => {
+				assert( Err.isTimeoutError( err ), err.message );
+				assert.strictEqual( Err.getStatus( err ), 504 );
+			}
+		) );
+
+	test( 'all upstreams open is unavailable', () => create( [ 'broken' ], { failures: 1 } )
+		.then( ( source ) => getTile( source ).catch( () => {} ).then( () => getTile( source ) ) )
+		.then(
+			() => assert.fail( 'should have thrown' ),
+			( err ) => {
+				assert.strictEqual( err.message, 'All upstream sources are unavailable' );
+				assert.strictEqual( Err.getStatus( err ), 503 );
+				assert.strictEqual( metrics[ 'fallback.broken.skipped' ], 1 );
+			}
+		) );
+} );
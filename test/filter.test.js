@@ -0,0 +1,154 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const zlib = require( 'zlib' );
+const tileCodec = require( '../lib/babel/tileCodec' );
+const Err = require( '../lib/err' );
+const Filter = require( '../lib/filter' );
+
+const newFilter = Promise.promisify( ( uri, cb ) => new Filter( uri, cb ) );
+
+function layer( name, features ) {
+	const keys = [];
+	const values = [];
+	return {
+		name,
+		version: 2,
+		extent: 4096,
+		keys,
+		values,
+		features: features.map( ( attrs ) => ( {
+			type: 1,
+			geometry: [ 9, 50, 34 ],
+			tags: Object.keys( attrs ).reduce( ( acc, k ) => {
+				if ( !keys.includes( k ) ) {
+					keys.push( k );
+				}
+				const value = typeof attrs[ k ] === 'number' ?
+					{ tag: 5, value: attrs[ k ] } : { tag: 1, value: attrs[ k ] };
+				let ind = values.findIndex(
+					( v ) => v.tag === value.tag && v.value === value.value
+				);
+				if ( ind < 0 ) {
+					ind = values.push( value ) - 1;
+				}
+				return acc.concat( [ keys.indexOf( k ), ind ] );
+			}, [] )
+		} ) )
+	};
+}
+
+const tile = {
+	layers: [
+		layer( 'poi', [ { name: 'Cafe', rank: 5 } ] ),
+		layer( 'roads', [
+			{ class: 'motorway', name: 'A1', name_en: 'A1', ref: 'A1' },
+			{ class: 'path', name: 'Trail' },
+			{ class: 'track', name_de: 'Weg' }
+		] )
+	]
+};
+
+function getAttrs( lyr ) {
+	return lyr.features.map( ( f ) => {
+		const result = {};
+		for ( let i = 0; i < f.tags.length; i += 2 ) {
+			result[ lyr.keys[ f.tags[ i ] ] ] = lyr.values[ f.tags[ i + 1 ] ].value;
+		}
+		return result;
+	} );
+}
+
+describe( 'filter', () => {
+	let metrics;
+	let sourceTile;
+
+	beforeEach( () => {
+		metrics = {};
+		sourceTile = tile;
+		Filter.initKartotherian( {
+			tilelive: { protocols: {} },
+			metrics: {
+				increment: ( name, value ) => {
+					metrics[ name ] = ( metrics[ name ] || 0 ) + value;
+				}
+			},
+			uncompressAsync: ( data ) => Promise.resolve( zlib.gunzipSync( data ) ),
+			compressPbfAsync: ( res ) => {
+				res.data = zlib.gzipSync( res.data );
+				res.headers[ 'Content-Encoding' ] = 'gzip';
+				return Promise.resolve( res );
+			},
+			loadSource: () => Promise.resolve( {
+				getAsync: () => Promise.resolve( {
+					data: zlib.gzipSync( tileCodec.encodeTile( sourceTile ) ),
+					headers: { 'Content-Type': 'application/x-protobuf' }
+				} )
+			} )
+		} );
+	} );
+
+	function getTile( rules, z ) {
+		return newFilter( { protocol: 'filter:', query: { source: 'src', rules } } )
+			.then( ( source ) => source.getAsync( { z, x: 0, y: 0 } ) )
+			.then( ( res ) => tileCodec.decodeTile( zlib.gunzipSync( res.data ) ).layers );
+	}
+
+	const rules = [
+		{ maxzoom: 10, layers: 'poi', drop: true },
+		{ maxzoom: 12, layers: 'roads', where: { class: [ 'path', 'track' ] } },
+		{ removeKeys: [ 'name_*', 'ref' ] }
+	];
+
+	test( 'low zoom', () => getTile( rules, 8 ).then( ( layers ) => {
+		assert.deepStrictEqual( layers.map( ( l ) => l.name ), [ 'roads' ] );
+		assert.deepStrictEqual( getAttrs( layers[ 0 ] ), [ { class: 'motorway', name: 'A1' } ] );
+		// unused keys and values are removed
+		assert.deepStrictEqual( layers[ 0 ].keys, [ 'class', 'name' ] );
+		assert.strictEqual( layers[ 0 ].values.length, 2 );
+		assert( metrics[ 'filter.saved' ] > 0 );
+	} ) );
+
+	test( 'high zoom', () => getTile( rules, 14 ).then( ( layers ) => {
+		assert.deepStrictEqual( layers.map( ( l ) => l.name ), [ 'poi', 'roads' ] );
+		assert.deepStrictEqual( getAttrs( layers[ 1 ] ), [
+			{ class: 'motorway', name: 'A1' },
+			{ class: 'path', name: 'Trail' },
+			{ class: 'track' }
+		] );
+	} ) );
+
+	test( 'operators and keepKeys', () => getTile( [
+		{ where: { rank: { '<': 10 } } },
+		{ where: { name: { exists: false } } },
+		{ keepKeys: 'name' }
+	], 5 ).then( ( layers ) => {
+		assert.deepStrictEqual( layers.map( ( l ) => l.name ), [ 'roads' ] );
+		assert.deepStrictEqual( getAttrs( layers[ 0 ] ), [ { name: 'A1' }, { name: 'Trail' } ] );
+	} ) );
+
+	test( 'saved bytes are never negative', () => {
+		// the feature type is omitted, and written back when the tile is encoded again
+		sourceTile = { layers: [ {
+			name: 'roads', version: 2, extent: 4096, keys: [], values: [],
+			features: [ { geometry: [ 9, 50, 34 ] } ]
+		} ] };
+		return getTile( [ { removeKeys: 'ref' } ], 5 ).then( ( layers ) => {
+			assert.deepStrictEqual( layers.map( ( l ) => l.name ), [ 'roads' ] );
+			assert.strictEqual( metrics[ 'filter.saved' ], 0 );
+		} );
+	} );
+
+	test( 'everything removed', () => getTile( [ { drop: true } ], 1 ).then(
+		() => assert.fail( 'should have thrown' ),
+		( err ) => assert( Err.isNoTileError( err ), err.message )
+	) );
+
+	test( 'invalid rule', () => newFilter( {
+		protocol: 'filter:', query: { source: 'src', rules: [ { where: { a: { '~': 1 } } } ] }
+	} ).then(
+		() => assert.fail( 'should have thrown' ),
+		( err ) => assert( /operator/.test( err.message ), err.message )
+	) );
+} );
@@ -0,0 +1,107 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const pathLib = require( 'path' );
+const zlib = require( 'zlib' );
+const tileCodec = require( '../lib/babel/tileCodec' );
+const Err = require( '../lib/err' );
+const GeoJson = require( '../lib/geojson' );
+
+const newGeoJson = Promise.promisify( ( uri, cb ) => new GeoJson( uri, cb ) );
+
+const collection = {
+	type: 'FeatureCollection',
+	features: [ {
+		type: 'Feature',
+		properties: { name: 'Paris', population: 2148000 },
+		geometry: { type: 'Point', coordinates: [ 2.35, 48.85 ] }
+	}, {
+		type: 'Feature',
+		properties: { name: 'Rio' },
+		geometry: { type: 'Point', coordinates: [ -43.2, -22.9 ] }
+	} ]
+};
+
+function decode( data ) {
+	return tileCodec.decodeTile( zlib.gunzipSync( data ) );
+}
+
+describe( 'geojson', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = fs.mkdtempSync( pathLib.join( os.tmpdir(), 'geojson-' ) );
+		fs.writeFileSync( pathLib.join( dir, 'cities.geojson' ), JSON.stringify( collection ) );
+		fs.writeFileSync(
+			pathLib.join( dir, 'cities.ndjson' ),
+			collection.features.map( ( f ) => JSON.stringify( f ) ).join( '\n' )
+		);
+		GeoJson.initKartotherian( {
+			tilelive: { protocols: {} },
+			getAppRootDir: () => dir,
+			compressPbfAsync: ( res ) => {
+				res.data = zlib.gzipSync( res.data );
+				res.headers[ 'Content-Encoding' ] = 'gzip';
+				return Promise.resolve( res );
+			}
+		} );
+	} );
+
+	afterEach( () => fs.rmSync( dir, { recursive: true, force: true } ) );
+
+	test( 'info', () => newGeoJson( 'geojson://./cities.geojson?maxzoom=10' )
+		.then( ( source ) => source.getAsync( { type: 'info' } ) )
+		.then( ( res ) => {
+			assert.strictEqual( res.data.format, 'pbf' );
+			assert.strictEqual( res.data.maxzoom, 10 );
+			assert.deepStrictEqual( res.data.bounds, [ -43.2, -22.9, 2.35, 48.85 ] );
+			assert.deepStrictEqual( res.data.vector_layers, [ {
+				id: 'cities',
+				minzoom: 0,
+				maxzoom: 10,
+				fields: { name: 'String', population: 'Number' }
+			} ] );
+		} ) );
+
+	test( 'tile', () => newGeoJson( 'geojson://./cities.geojson?layer=places' )
+		.then( ( source ) => source.getAsync( { z: 1, x: 1, y: 0 } ) )
+		.then( ( res ) => {
+			assert.strictEqual( res.headers[ 'Content-Type' ], 'application/x-protobuf' );
+			assert.strictEqual( res.headers[ 'Content-Encoding' ], 'gzip' );
+			const tile = decode( res.data );
+			assert.strictEqual( tile.layers.length, 1 );
+			assert.strictEqual( tile.layers[ 0 ].name, 'places' );
+			assert.strictEqual( tile.layers[ 0 ].features.length, 1 );
+		} ) );
+
+	test( 'ndjson', () => newGeoJson( 'geojson://./cities.ndjson' )
+		.then( ( source ) => source.getAsync( { z: 0, x: 0, y: 0 } ) )
+		.then( ( res ) => {
+			const tile = decode( res.data );
+			assert.strictEqual( tile.layers[ 0 ].name, 'cities' );
+			assert.strictEqual( tile.layers[ 0 ].features.length, 2 );
+		} ) );
+
+	test( 'tolerance without the low zooms', () => Promise.all( [ {}, { 10: 1 } ].map(
+		( tolerance ) => newGeoJson( {
+			protocol: 'geojson:', host: '.', pathname: '/cities.geojson', query: { tolerance }
+		} ).then(
+			( source ) => source.getAsync( { z: 1, x: 1, y: 0 } ).return( source.tolerances )
+		)
+	) ).then( ( [ empty, high ] ) => {
+		assert.deepStrictEqual( empty, [ { zoom: 0, tolerance: 3 } ] );
+		assert.deepStrictEqual( high, [ { zoom: 0, tolerance: 3 }, { zoom: 10, tolerance: 1 } ] );
+	} ) );
+
+	test( 'empty and out of range tiles', () => newGeoJson( 'geojson://./cities.geojson?maxzoom=5' )
+		.then( ( source ) => Promise.all( [
+			source.getAsync( { z: 2, x: 0, y: 0 } ),
+			source.getAsync( { z: 6, x: 32, y: 22 } )
+		].map( ( p ) => p.then(
+			() => assert.fail( 'should have thrown' ),
+			( err ) => assert( Err.isNoTileError( err ), err.message )
+		) ) ) ) );
+} );
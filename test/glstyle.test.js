@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require( 'assert' );
+const glstyle = require( '../lib/glstyle' );
+
+const style = {
+	version: 8,
+	sources: {
+		hillshade: { type: 'raster', url: 'https://example.org/hillshade.json' }
+	},
+	layers: [
+		{ id: 'background', type: 'background', paint: { 'background-color': '#fff' } },
+		{ id: 'water', type: 'fill', 'source-layer': 'water' },
+		{ id: 'hills', type: 'raster', source: 'hillshade' },
+		{ id: 'places', type: 'symbol', 'source-layer': 'place', layout: { 'text-field': '{name}' } },
+		{ id: 'roads', type: 'symbol', 'source-layer': 'road', layout: { 'text-field': [ 'get', 'ref' ] } }
+	]
+};
+
+describe( 'glstyle', () => {
+	it( 'validates the settings', () => {
+		const conf = glstyle.validate( { style }, __dirname );
+		assert.strictEqual( conf.tag, 'name' );
+		assert.strictEqual( conf.multiTag, 'name_' );
+		// babel's fallbacks are used by default
+		assert.ok( Array.isArray( conf.languageMap.cdo ) );
+		assert.throws( () => glstyle.validate( {}, __dirname ), /style is required/ );
+		assert.throws( () => glstyle.validate( { style: { version: 8 } }, __dirname ), /list of layers/ );
+	} );
+
+	it( 'orders the label keys like babel', () => {
+		const conf = glstyle.validate( { style, languageMap: { be: [ 'ru' ] } }, __dirname );
+		assert.deepStrictEqual(
+			glstyle.getLabelKeys( conf, 'be', [ 'name', 'name_en', 'name_uk-Cyrl', 'name_ja_rm' ] ),
+			[ 'name_be', 'name_ru', 'name_uk-Cyrl', 'name' ]
+		);
+		assert.deepStrictEqual(
+			glstyle.getLabelKeys( conf, 'fr', [ 'name_en', 'name_ja_rm' ] ),
+			[ 'name_fr', 'name_ja_rm', 'name' ]
+		);
+	} );
+
+	it( 'builds the style', () => {
+		const conf = glstyle.validate( { style, languageMap: {} }, __dirname );
+		const result = glstyle.build( conf, 'osm', 'http://localhost/osm/info.json', 'de', [
+			{ id: 'place', fields: { name: 'String', 'name_de-Latn': 'String' } }
+		] );
+		assert.deepStrictEqual( result.sources, {
+			hillshade: style.sources.hillshade,
+			osm: { type: 'vector', url: 'http://localhost/osm/info.json' }
+		} );
+		assert.strictEqual( result.layers[ 0 ].source, undefined );
+		assert.strictEqual( result.layers[ 1 ].source, 'osm' );
+		assert.strictEqual( result.layers[ 2 ].source, 'hillshade' );
+		assert.deepStrictEqual( result.layers[ 3 ].layout[ 'text-field' ], [
+			'coalesce', [ 'get', 'name_de' ], [ 'get', 'name_de-Latn' ], [ 'get', 'name' ]
+		] );
+		assert.deepStrictEqual( result.layers[ 4 ].layout[ 'text-field' ], [ 'get', 'ref' ] );
+		// the template is not modified
+		assert.strictEqual( style.layers[ 3 ].layout[ 'text-field' ], '{name}' );
+		assert.strictEqual(
+			glstyle.build( conf, 'osm', 'x', 'local' ).layers[ 3 ].layout[ 'text-field' ], '{name}'
+		);
+	} );
+} );
@@ -0,0 +1,105 @@
+'use strict';
+
+const assert = require( 'assert' );
+const express = require( 'express' );
+const pathLib = require( 'path' );
+const preq = require( 'preq' );
+const Promise = require( 'bluebird' );
+const glyphComposite = require( '@mapbox/glyph-pbf-composite' );
+const glyphs = require( '../lib/glyphs' );
+
+const fontDir = pathLib.join(
+	pathLib.dirname( require.resolve( '@kartotherian/osm-bright-style/package.json' ) ), 'fonts'
+);
+
+const core = {
+	mapnik: {
+		fontFiles: () => ( {
+			'Noto Sans Regular': pathLib.join( fontDir, 'NotoSans-Regular.ttf' ),
+			'Noto Sans Hebrew Regular': pathLib.join( fontDir, 'NotoSansHebrew-Regular.ttf' )
+		} )
+	},
+	setResponseHeaders: () => {},
+	reportRequestError: ( err, res ) => res.status( err.status || 400 ).json( err.message ),
+	metrics: { endTiming: () => {} }
+};
+
+describe( 'glyphs', () => {
+	let server;
+	let uri;
+
+	beforeAll( () => {
+		const app = express();
+		const router = express.Router();
+		glyphs( core, router );
+		app.use( '/', router );
+		return new Promise( ( resolve ) => {
+			server = app.listen( 0, 'localhost', () => {
+				uri = `http://localhost:${server.address().port}`;
+				resolve();
+			} );
+		} );
+	} );
+
+	afterAll( () => new Promise( ( resolve ) => server.close( resolve ) ) );
+
+	function getGlyphs( fontstack, range ) {
+		return preq.get( `${uri}/fonts/${encodeURIComponent( fontstack )}/${range}.pbf` )
+			.then( ( res ) => {
+				assert.strictEqual( res.headers[ 'content-type' ], 'application/x-protobuf' );
+				return glyphComposite.decode( res.body ).stacks[ 0 ];
+			} );
+	}
+
+	function getStatus( path ) {
+		return preq.get( `${uri}${path}` ).then( () => {
+			throw new Error( 'expected an error' );
+		}, ( err ) => err.status );
+	}
+
+	it( 'serves a glyph range', () => getGlyphs( 'Noto Sans Regular', '0-255' ).then( ( stack ) => {
+		const ids = stack.glyphs.map( ( glyph ) => glyph.id );
+		assert.ok( ids.includes( 65 ), 'has A' );
+		assert.ok( ids.every( ( id ) => id >= 0 && id <= 255 ) );
+	} ) );
+
+	it( 'only accepts the ranges of 256 characters', () => Promise.all( [
+		getStatus( '/fonts/Noto%20Sans%20Regular/1-256.pbf' ),
+		getStatus( '/fonts/Noto%20Sans%20Regular/0-511.pbf' ),
+		getStatus( '/fonts/Noto%20Sans%20Regular/256-255.pbf' ),
+		getStatus( '/fonts/Noto%20Sans%20Regular/65536-65791.pbf' ),
+		getGlyphs( 'Noto Sans Regular', '65280-65535' )
+	] ).then( ( results ) => {
+		assert.deepStrictEqual( results.slice( 0, 4 ), [ 400, 400, 400, 400 ] );
+	} ) );
+
+	it( 'returns 404 for an unknown font', () => Promise.all( [
+		getStatus( '/fonts/No%20Such%20Font/0-255.pbf' ),
+		getStatus( '/fonts/Noto%20Sans%20Regular,No%20Such%20Font/0-255.pbf' )
+	] ).then( ( results ) => {
+		assert.deepStrictEqual( results, [ 404, 404 ] );
+	} ) );
+
+	it( 'limits the font stack', () => Promise.all( [
+		getStatus( `/fonts/${new Array( 9 ).fill( 'Noto%20Sans%20Regular' ).join( ',' )}/0-255.pbf` ),
+		getStatus( '/fonts/Noto%20Sans%20Regular,%20/0-255.pbf' )
+	] ).then( ( results ) => {
+		assert.deepStrictEqual( results, [ 400, 400 ] );
+	} ) );
+
+	it( 'composites the font stack', () => Promise.all( [
+		getGlyphs( 'Noto Sans Regular', '1280-1535' ),
+		getGlyphs( 'Noto Sans Regular, Noto Sans Hebrew Regular', '1280-1535' )
+	] ).then( ( [ single, stack ] ) => {
+		// Hebrew letter alef
+		assert.ok( !single.glyphs.some( ( glyph ) => glyph.id === 1488 ) );
+		assert.ok( stack.glyphs.some( ( glyph ) => glyph.id === 1488 ) );
+		// the glyphs of the first font win
+		single.glyphs.forEach( ( glyph ) => {
+			assert.deepStrictEqual(
+				stack.glyphs.find( ( g ) => g.id === glyph.id ).bitmap, glyph.bitmap
+			);
+		} );
+		assert.strictEqual( stack.name, 'Noto Sans Regular, Noto Sans Hebrew Regular' );
+	} ) );
+} );
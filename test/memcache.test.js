@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const MemCache = require( '../lib/memcache' );
+const { makeCore, sourceFactory } = require( './utils/protocol' );
+
+const create = sourceFactory( MemCache, { protocol: 'memcache:', query: { source: 'a' } } );
+
+describe( 'memcache', () => {
+	let calls;
+	let metrics;
+
+	beforeEach( () => {
+		calls = 0;
+		const core = makeCore( {
+			loadSource: () => ( {
+				getAsync: ( opts ) => {
+					calls++;
+					return Promise.resolve( {
+						data: Buffer.alloc( 10, opts.x ),
+						headers: { 'Content-Type': 'application/x-protobuf' }
+					} );
+				}
+			} )
+		} );
+		metrics = core.metrics.counts;
+		MemCache.initKartotherian( core );
+	} );
+
+	it( 'returns cached tiles', () => create().then( ( cache ) => cache.getAsync( { z: 1, x: 0, y: 0 } )
+		.then( () => cache.getAsync( { z: 1, x: 0, y: 0 } ) )
+		.then( ( res ) => {
+			assert.strictEqual( calls, 1 );
+			assert.strictEqual( res.data.length, 10 );
+			assert.deepStrictEqual( res.headers, { 'Content-Type': 'application/x-protobuf' } );
+			assert.strictEqual( metrics[ 'memcache.hit' ], 1 );
+			assert.strictEqual( metrics[ 'memcache.miss' ], 1 );
+		} ) ) );
+
+	it( 'evicts least recently used tiles', () => create( { maxcount: 2 } ).then( ( cache ) => Promise.each(
+		[ 0, 1, 0, 2, 0, 1 ],
+		( x ) => cache.getAsync( { z: 2, x, y: 0 } )
+	).then( () => {
+		// x=1 was evicted by x=2, and had to be fetched again
+		assert.strictEqual( calls, 4 );
+		assert.strictEqual( cache.cache.size, 2 );
+		assert.strictEqual( metrics[ 'memcache.evict' ], 2 );
+	} ) ) );
+
+	it( 'limits total size', () => create( { maxsize: 25 } ).then( ( cache ) => Promise.each(
+		[ 0, 1, 2 ],
+		( x ) => cache.getAsync( { z: 2, x, y: 0 } )
+	).then( () => {
+		assert.strictEqual( cache.cache.size, 2 );
+		assert.strictEqual( cache.cacheSize, 20 );
+	} ) ) );
+
+	it( 'only admits tiles within the zoom range', () => create( { maxzoom: 5 } ).then( ( cache ) => Promise.each(
+		[ 5, 5, 6, 6 ],
+		( z ) => cache.getAsync( { z, x: 0, y: 0 } )
+	).then( () => {
+		assert.strictEqual( calls, 3 );
+	} ) ) );
+
+	it( 'expires tiles after ttl', () => create( { ttl: 1 } ).then( ( cache ) => {
+		const now = Date.now;
+		return cache.getAsync( { z: 1, x: 0, y: 0 } ).then( () => {
+			Date.now = () => now() + 2000;
+			return cache.getAsync( { z: 1, x: 0, y: 0 } );
+		} ).then( () => {
+			assert.strictEqual( calls, 2 );
+		} ).finally( () => {
+			Date.now = now;
+		} );
+	} ) );
+
+	it( 'can be used as storage with putAsync', () => create( {}, false ).then( ( cache ) => cache.getAsync( { z: 1, x: 0, y: 0, format: 'png' } )
+		.then( () => assert.fail( 'tile must be missing' ), ( err ) => {
+			assert.strictEqual( err.message, 'Tile does not exist' );
+			return cache.putAsync( { z: 1, x: 0, y: 0, format: 'png' }, { data: Buffer.from( 'abc' ), headers: {} } );
+		} )
+		.then( () => cache.getAsync( { z: 1, x: 0, y: 0, format: 'png' } ) )
+		.then( ( res ) => {
+			assert.strictEqual( res.data.toString(), 'abc' );
+			assert.strictEqual( calls, 0 );
+		} ) ) );
+} );
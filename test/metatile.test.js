@@ -0,0 +1,180 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const pathLib = require( 'path' );
+const DiskCache = require( '../lib/diskcache' );
+const MemCache = require( '../lib/memcache' );
+const Metatile = require( '../lib/metatile' );
+const { makeCore, sourceFactory } = require( './utils/protocol' );
+
+const newMetatile = sourceFactory( Metatile, { protocol: 'metatile:', query: { source: 'style' } } );
+const newMemCache = sourceFactory( MemCache, { protocol: 'memcache:' } );
+const newDiskCache = sourceFactory( DiskCache, { protocol: 'diskcache:', pathname: 'tiles' } );
+
+describe( 'metatile', () => {
+	let blocks;
+	let calls;
+	let metrics;
+	let backendHeaders;
+	let dir;
+
+	beforeEach( () => {
+		blocks = [];
+		calls = 0;
+		backendHeaders = {};
+		dir = fs.mkdtempSync( pathLib.join( os.tmpdir(), 'metatile-' ) );
+		const core = makeCore( {
+			getAppRootDir: () => dir,
+			loadSource: ( src ) => {
+				if ( src === 'cache' ) {
+					return newMemCache();
+				}
+				if ( src === 'disk' ) {
+					return newDiskCache();
+				}
+				if ( src === 'mbtiles' ) {
+					return { getAsync: () => Promise.resolve( {} ) };
+				}
+				return {
+					_map: {},
+					_backend: {
+						getAsync: ( opts ) => Promise.resolve( {
+							data: Buffer.from( `${opts.z}/${opts.x}/${opts.y}` ),
+							headers: backendHeaders[ `${opts.z}/${opts.x}/${opts.y}` ]
+						} )
+					},
+					getAsync: () => {
+						calls++;
+						return Promise.resolve( { data: Buffer.from( 'single' ), headers: {} } );
+					}
+				};
+			},
+			// only record what is composited and rendered
+			mapnik: {
+				VectorTile: function VectorTile() {
+					this.compositeAsync = ( vtiles ) => Promise.resolve( {
+						renderAsync: () => Promise.resolve( {
+							view: () => ( {
+								encode: ( format, opts, cb ) => cb(
+									undefined, Buffer.concat( vtiles )
+								)
+							} )
+						} )
+					} );
+				},
+				Image: function Image() {}
+			}
+		} );
+		metrics = core.metrics.counts;
+		DiskCache.initKartotherian( core );
+		MemCache.initKartotherian( core );
+		Metatile.initKartotherian( core );
+	} );
+
+	afterEach( () => fs.rmSync( dir, { recursive: true, force: true } ) );
+
+	function create( query ) {
+		return newMetatile( query ).then( ( metatile ) => {
+			// rendering needs mapnik, only record the requested blocks
+			metatile._renderAsync = ( block ) => {
+				blocks.push( block );
+				const tiles = [];
+				for ( let y = block.y; y < block.y + block.size; y++ ) {
+					for ( let x = block.x; x < block.x + block.size; x++ ) {
+						tiles.push( { x, y, data: Buffer.from( `${block.z}/${x}/${y}` ), headers: {} } );
+					}
+				}
+				return Promise.delay( 1 ).return( tiles );
+			};
+			return metatile;
+		} );
+	}
+
+	it( 'renders the whole block once for concurrent requests', () => create().then( ( metatile ) => Promise.all( [
+		metatile.getAsync( { z: 3, x: 5, y: 6, format: 'png8:m=h' } ),
+		metatile.getAsync( { z: 3, x: 7, y: 4, format: 'png8:m=h' } )
+	] ).then( ( results ) => {
+		assert.deepStrictEqual( blocks, [ { z: 3, x: 4, y: 4, size: 4 } ] );
+		assert.strictEqual( results[ 0 ].data.toString(), '3/5/6' );
+		assert.strictEqual( results[ 1 ].data.toString(), '3/7/4' );
+		assert.strictEqual( metrics[ 'metatile.coalesced' ], 1 );
+	} ) ) );
+
+	it( 'limits the block size at low zooms', () => create( { size: 8 } ).then( ( metatile ) => metatile.getAsync(
+		{ z: 1, x: 1, y: 0, format: 'png' }
+	).then( ( res ) => {
+		assert.deepStrictEqual( blocks, [ { z: 1, x: 0, y: 0, size: 2 } ] );
+		assert.strictEqual( res.data.toString(), '1/1/0' );
+	} ) ) );
+
+	it( 'keeps the rendered block in cache', () => create( { cache: 'cache' } ).then( ( metatile ) => metatile.getAsync(
+		{ z: 4, x: 1, y: 2, format: 'png', scale: 2 }
+	).then( () => metatile.getAsync( { z: 4, x: 3, y: 3, format: 'png', scale: 2 } ) )
+		.then( ( res ) => {
+			assert.strictEqual( blocks.length, 1 );
+			assert.strictEqual( res.data.toString(), '4/3/3' );
+			assert.strictEqual( metrics[ 'metatile.hit' ], 1 );
+			// other variants are rendered separately
+			return metatile.getAsync( { z: 4, x: 3, y: 3, format: 'png' } );
+		} ).then( () => {
+			assert.strictEqual( blocks.length, 2 );
+		} ) ) );
+
+	it( 'passes other formats through', () => create().then( ( metatile ) => Promise.all( [
+		metatile.getAsync( { z: 3, x: 5, y: 6, format: 'json' } ),
+		metatile.getAsync( { z: 3, x: 5, y: 6 } ),
+		metatile.getAsync( { type: 'info' } )
+	] ).then( () => {
+		assert.strictEqual( blocks.length, 0 );
+		assert.strictEqual( calls, 3 );
+	} ) ) );
+
+	it( 'sets Last-Modified from the newest vector tile', () => create().then( ( metatile ) => {
+		backendHeaders[ '1/0/1' ] = { 'Last-Modified': 'Tue, 01 Jun 2021 00:00:00 GMT' };
+		backendHeaders[ '1/1/1' ] = { 'Last-Modified': 'Wed, 02 Jun 2021 00:00:00 GMT' };
+		return Metatile.prototype._renderAsync.call(
+			metatile, { z: 1, x: 0, y: 0, size: 2 }, { z: 1, format: 'png' }
+		);
+	} ).then( ( tiles ) => {
+		assert.strictEqual( tiles.length, 4 );
+		assert.strictEqual( tiles[ 0 ].headers[ 'Last-Modified' ], 'Wed, 02 Jun 2021 00:00:00 GMT' );
+		assert.strictEqual( tiles[ 0 ].headers[ 'Content-Type' ], 'image/png' );
+	} ) );
+
+	it( 'omits Last-Modified when the vector tiles have none', () => create().then(
+		( metatile ) => Metatile.prototype._renderAsync.call(
+			metatile, { z: 1, x: 0, y: 0, size: 2 }, { z: 1, format: 'png' }
+		)
+	).then( ( tiles ) => {
+		assert.strictEqual( tiles[ 0 ].headers[ 'Last-Modified' ], undefined );
+		assert.strictEqual( tiles[ 0 ].data.toString(), '1/0/01/1/01/0/11/1/1' );
+	} ) );
+
+	it( 'keeps the headers of the rendered tiles in the disk cache', () => {
+		backendHeaders[ '2/0/1' ] = { 'Last-Modified': 'Tue, 01 Jun 2021 00:00:00 GMT' };
+		return newMetatile( { cache: 'disk', size: 2 } ).then( ( metatile ) => metatile.getAsync(
+			{ z: 2, x: 0, y: 0, format: 'png8:m=h' }
+		).then( () => metatile.getAsync( { z: 2, x: 1, y: 1, format: 'png8:m=h' } ) ) ).then( ( res ) => {
+			assert.strictEqual( metrics[ 'metatile.hit' ], 1 );
+			assert.deepStrictEqual( res.headers, {
+				'Content-Type': 'image/png',
+				'Last-Modified': 'Tue, 01 Jun 2021 00:00:00 GMT'
+			} );
+		} );
+	} );
+
+	it( 'requires a renderable source', () => create( { source: 'mbtiles' } ).then( () => {
+		assert.fail( 'source must be rejected' );
+	}, ( err ) => {
+		assert.match( err.message, /it has no map \(_map\)$/ );
+	} ) );
+
+	it( 'requires a power of 2 size', () => create( { size: 3 } ).then( () => {
+		assert.fail( 'size must be rejected' );
+	}, ( err ) => {
+		assert.strictEqual( err.message, 'size param must be a power of 2' );
+	} ) );
+} );
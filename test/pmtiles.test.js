@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const pathLib = require( 'path' );
+const zlib = require( 'zlib' );
+const PMTiles = require( '../lib/pmtiles' );
+
+const newPMTiles = Promise.promisify( ( uri, cb ) => new PMTiles( uri, cb ) );
+
+function encodeVarint( value, bytes ) {
+	while ( value >= 0x80 ) {
+		bytes.push( ( value % 0x80 ) + 0x80 );
+		value = Math.floor( value / 0x80 );
+	}
+	bytes.push( value );
+}
+
+function encodeDirectory( entries ) {
+	const bytes = [];
+	encodeVarint( entries.length, bytes );
+	let lastId = 0;
+	for ( const e of entries ) {
+		encodeVarint( e.tileId - lastId, bytes );
+		lastId = e.tileId;
+	}
+	entries.forEach( ( e ) => encodeVarint( e.runLength, bytes ) );
+	entries.forEach( ( e ) => encodeVarint( e.length, bytes ) );
+	entries.forEach( ( e ) => encodeVarint( e.offset + 1, bytes ) );
+	return zlib.gzipSync( Buffer.from( bytes ) );
+}
+
+/**
+ * Build a small archive with tile 0/0/0, a leaf directory for zoom 1,
+ * where tiles 1/0/0 and 1/0/1 share the same data (run length 2)
+ *
+ * @param {string} file
+ */
+function writeArchive( file ) {
+	const tile0 = zlib.gzipSync( Buffer.from( 'tile 0' ) );
+	const tile1 = zlib.gzipSync( Buffer.from( 'tile 1' ) );
+	const tileData = Buffer.concat( [ tile0, tile1 ] );
+	const leaf = encodeDirectory( [
+		{
+			tileId: PMTiles.zxyToTileId( 1, 0, 0 ),
+			runLength: 2,
+			offset: tile0.length,
+			length: tile1.length
+		}
+	] );
+	const root = encodeDirectory( [
+		{ tileId: 0, runLength: 1, offset: 0, length: tile0.length },
+		{ tileId: 1, runLength: 0, offset: 0, length: leaf.length }
+	] );
+	const metadata = zlib.gzipSync( Buffer.from( JSON.stringify( {
+		name: 'test', vector_layers: [ { id: 'water' } ]
+	} ) ) );
+
+	const header = Buffer.alloc( 127 );
+	header.write( 'PMTiles', 0, 'latin1' );
+	header[ 7 ] = 3;
+	let offset = 127;
+	[ root, metadata, leaf, tileData ].forEach( ( section, i ) => {
+		header.writeUInt32LE( offset, 8 + i * 16 );
+		header.writeUInt32LE( section.length, 16 + i * 16 );
+		offset += section.length;
+	} );
+	header[ 97 ] = 2; // internal compression - gzip
+	header[ 98 ] = 2; // tile compression - gzip
+	header[ 99 ] = 1; // mvt
+	header[ 100 ] = 0;
+	header[ 101 ] = 1;
+	header.writeInt32LE( -1800000000, 102 );
+	header.writeInt32LE( -850000000, 106 );
+	header.writeInt32LE( 1800000000, 110 );
+	header.writeInt32LE( 850000000, 114 );
+	fs.writeFileSync( file, Buffer.concat( [ header, root, metadata, leaf, tileData ] ) );
+}
+
+describe( 'pmtiles', () => {
+	let dir;
+
+	beforeAll( () => {
+		dir = fs.mkdtempSync( pathLib.join( os.tmpdir(), 'pmtiles-' ) );
+		writeArchive( pathLib.join( dir, 'test.pmtiles' ) );
+		PMTiles.initKartotherian( {
+			tilelive: { protocols: {} },
+			getAppRootDir: () => dir,
+			uncompressAsync: ( data ) => Promise.resolve(
+				data[ 0 ] === 0x1F && data[ 1 ] === 0x8B ? zlib.gunzipSync( data ) : data
+			)
+		} );
+	} );
+
+	afterAll( () => fs.rmSync( dir, { recursive: true, force: true } ) );
+
+	function open() {
+		return newPMTiles( { protocol: 'pmtiles:', host: '.', pathname: '/test.pmtiles', query: {} } );
+	}
+
+	it( 'tile ids', () => {
+		assert.strictEqual( PMTiles.zxyToTileId( 0, 0, 0 ), 0 );
+		assert.strictEqual( PMTiles.zxyToTileId( 1, 0, 0 ), 1 );
+		assert.strictEqual( PMTiles.zxyToTileId( 1, 0, 1 ), 2 );
+		assert.strictEqual( PMTiles.zxyToTileId( 1, 1, 1 ), 3 );
+		assert.strictEqual( PMTiles.zxyToTileId( 1, 1, 0 ), 4 );
+		assert.strictEqual( PMTiles.zxyToTileId( 2, 0, 0 ), 5 );
+		assert.strictEqual( PMTiles.zxyToTileId( 2, 3, 0 ), 20 );
+		assert.strictEqual( PMTiles.zxyToTileId( 3, 7, 0 ), 84 );
+	} );
+
+	it( 'reads tiles from root and leaf directories', () => open().then( ( src ) => Promise.all( [
+		src.getAsync( { z: 0, x: 0, y: 0 } ),
+		src.getAsync( { z: 1, x: 0, y: 0 } ),
+		src.getAsync( { z: 1, x: 0, y: 1 } )
+	] ).then( ( results ) => {
+		assert.deepStrictEqual(
+			results.map( ( res ) => zlib.gunzipSync( res.data ).toString() ),
+			[ 'tile 0', 'tile 1', 'tile 1' ]
+		);
+		assert.deepStrictEqual( results[ 0 ].headers, {
+			'Content-Type': 'application/x-protobuf',
+			'Content-Encoding': 'gzip'
+		} );
+		assert.strictEqual( src.dirCache.size, 1 );
+	} ) ) );
+
+	it( 'throws no tile error for missing tiles', () => open().then( ( src ) => src.getAsync( { z: 1, x: 1, y: 1 } ) )
+		.then( () => assert.fail( 'must throw' ), ( err ) => {
+			assert.strictEqual( err.message, 'Tile does not exist' );
+		} ) );
+
+	it( 'info', () => open().then( ( src ) => src.getAsync( { type: 'info' } ) ).then( ( res ) => {
+		assert.deepStrictEqual( res.data, {
+			name: 'test',
+			vector_layers: [ { id: 'water' } ],
+			format: 'pbf',
+			minzoom: 0,
+			maxzoom: 1,
+			bounds: [ -180, -85, 180, 85 ],
+			center: [ 0, 0, 0 ]
+		} );
+	} ) );
+} );
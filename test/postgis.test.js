@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const zlib = require( 'zlib' );
+const Err = require( '../lib/err' );
+const PostGis = require( '../lib/postgis' );
+
+const { makeCore, sourceFactory } = require( './utils/protocol' );
+
+const newPostGis = sourceFactory( PostGis, { protocol: 'postgis:', query: { database: 'gis' } } );
+
+describe( 'postgis', () => {
+	let queries;
+
+	beforeEach( () => {
+		queries = [];
+		PostGis.initKartotherian( makeCore() );
+	} );
+
+	function create( result ) {
+		return newPostGis( {
+			maxzoom: 12,
+			layers: {
+				water: 'SELECT way AS geom FROM water WHERE way && !bbox!',
+				roads: {
+					sql: 'SELECT way, name FROM roads WHERE way && !bbox! AND !zoom! >= minzoom',
+					geometry: 'way',
+					srid: 4326,
+					minzoom: 5,
+					fields: { name: 'String' }
+				}
+			}
+		} ).then( ( source ) => {
+			source.db = {
+				one: ( sql ) => {
+					queries.push( sql );
+					return Promise.resolve( { mvt: result } );
+				}
+			};
+			return source;
+		} );
+	}
+
+	test( 'info', () => create().then( ( source ) => source.getAsync( { type: 'info' } ) )
+		.then( ( res ) => {
+			assert.deepStrictEqual( res.data, {
+				format: 'pbf',
+				minzoom: 0,
+				maxzoom: 12,
+				vector_layers: [
+					{ id: 'water', minzoom: 0, maxzoom: 12, fields: {} },
+					{ id: 'roads', minzoom: 5, maxzoom: 12, fields: { name: 'String' } }
+				]
+			} );
+		} ) );
+
+	test( 'query', () => create( Buffer.from( 'mvt' ) ).then( ( source ) => source.getAsync( { z: 5, x: 16, y: 10 } ) )
+		.then( ( res ) => {
+			assert.strictEqual( res.headers[ 'Content-Type' ], 'application/x-protobuf' );
+			assert.strictEqual( zlib.gunzipSync( res.data ).toString(), 'mvt' );
+			assert.strictEqual( queries.length, 1 );
+			const sql = queries[ 0 ];
+			assert( !/!(bbox|zoom)!/.test( sql ), sql );
+			assert( sql.includes( "ST_AsMVT(t, 'water', 4096, 'mvtgeom')" ), sql );
+			assert( sql.includes( "ST_AsMVT(t, 'roads', 4096, 'mvtgeom')" ), sql );
+			assert( sql.includes( 'ST_Transform(q."way", 3857)' ), sql );
+			assert( sql.includes( 'AND 5 >= minzoom' ), sql );
+			// tile 5/16/10 starts at the meridian, extended by the 64/4096 buffer
+			assert( sql.includes( 'ST_MakeEnvelope(-19567.87924100512, ' ), sql );
+			assert( sql.includes( 'ST_MakeEnvelope(0, ' ), sql );
+		} ) );
+
+	test( 'layers outside of the zoom are skipped', () => create( Buffer.from( 'mvt' ) )
+		.then( ( source ) => source.getAsync( { z: 4, x: 0, y: 0 } ) )
+		.then( () => {
+			assert( queries[ 0 ].includes( "'water'" ) );
+			assert( !queries[ 0 ].includes( "'roads'" ) );
+		} ) );
+
+	test( 'empty tile', () => create( Buffer.alloc( 0 ) )
+		.then( ( source ) => source.getAsync( { z: 1, x: 0, y: 0 } ) )
+		.then(
+			() => assert.fail( 'should have thrown' ),
+			( err ) => assert( Err.isNoTileError( err ), err.message )
+		) );
+
+	test( 'requires layers', () => newPostGis().then(
+		() => assert.fail( 'should have thrown' ),
+		( err ) => assert( /layers/.test( err.message ), err.message )
+	) );
+} );
@@ -0,0 +1,159 @@
+'use strict';
+
+const assert = require( 'assert' );
+const Promise = require( 'bluebird' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const pathLib = require( 'path' );
+const zlib = require( 'zlib' );
+const tileCodec = require( '../lib/babel/tileCodec' );
+const Remap = require( '../lib/remap' );
+
+const newRemap = Promise.promisify( ( uri, cb ) => new Remap( uri, cb ) );
+
+function layer( name, features ) {
+	const keys = [];
+	const values = [];
+	return {
+		name,
+		version: 2,
+		extent: 4096,
+		keys,
+		values,
+		features: features.map( ( attrs ) => ( {
+			type: 1,
+			geometry: [ 9, 50, 34 ],
+			tags: Object.keys( attrs ).reduce( ( acc, k ) => {
+				if ( !keys.includes( k ) ) {
+					keys.push( k );
+				}
+				values.push( typeof attrs[ k ] === 'number' ?
+					{ tag: 5, value: attrs[ k ] } : { tag: 1, value: attrs[ k ] } );
+				return acc.concat( [ keys.indexOf( k ), values.length - 1 ] );
+			}, [] )
+		} ) )
+	};
+}
+
+const tile = {
+	layers: [
+		layer( 'transportation', [
+			{ class: 'motorway', 'name:en': 'A1' },
+			{ class: 'minor', 'name:en': 'Main St' }
+		] ),
+		layer( 'poi', [ { class: 'cafe', name: 'Cafe' } ] ),
+		layer( 'aerodrome_label', [ { name: 'CDG', iata: 'CDG' } ] ),
+		layer( 'water', [ { class: 'lake' } ] )
+	]
+};
+
+const info = {
+	maxzoom: 14,
+	vector_layers: [
+		{ id: 'transportation', minzoom: 4, maxzoom: 14, fields: { class: 'String', 'name:en': 'String' } },
+		{ id: 'poi', minzoom: 12, maxzoom: 14, fields: { class: 'String', name: 'String' } },
+		{ id: 'aerodrome_label', minzoom: 10, maxzoom: 14, fields: { name: 'String', iata: 'String' } },
+		{ id: 'water', fields: { class: 'String' } }
+	]
+};
+
+const mapping = {
+	layers: {
+		road: {
+			from: 'transportation',
+			rename: { 'name:en': 'name' },
+			values: { class: { motorway: 'motorway', minor: 'street' } }
+		},
+		motorway_label: {
+			from: 'transportation',
+			where: { class: 'motorway' },
+			rename: { 'name:en': 'name', class: null }
+		},
+		poi_label: {
+			from: [ 'poi', 'aerodrome_label' ],
+			keepKeys: [ 'name', 'maki' ],
+			set: { maki: 'marker' }
+		}
+	}
+};
+
+function getAttrs( lyr ) {
+	return lyr.features.map( ( f ) => {
+		const result = {};
+		for ( let i = 0; i < f.tags.length; i += 2 ) {
+			result[ lyr.keys[ f.tags[ i ] ] ] = lyr.values[ f.tags[ i + 1 ] ].value;
+		}
+		return result;
+	} );
+}
+
+describe( 'remap', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = fs.mkdtempSync( pathLib.join( os.tmpdir(), 'remap-' ) );
+		Remap.initKartotherian( {
+			tilelive: { protocols: {} },
+			getAppRootDir: () => dir,
+			uncompressAsync: ( data ) => Promise.resolve( zlib.gunzipSync( data ) ),
+			compressPbfAsync: ( res ) => {
+				res.data = zlib.gzipSync( res.data );
+				res.headers[ 'Content-Encoding' ] = 'gzip';
+				return Promise.resolve( res );
+			},
+			loadSource: () => Promise.resolve( {
+				getAsync: ( opts ) => Promise.resolve( opts.type === 'info' ? { data: info } : {
+					data: zlib.gzipSync( tileCodec.encodeTile( tile ) ),
+					headers: { 'Content-Type': 'application/x-protobuf' }
+				} )
+			} )
+		} );
+	} );
+
+	afterEach( () => fs.rmSync( dir, { recursive: true, force: true } ) );
+
+	function getLayers( query ) {
+		return newRemap( { protocol: 'remap:', query: Object.assign( { source: 'src' }, query ) } )
+			.then( ( source ) => source.getAsync( { z: 14, x: 0, y: 0 } ) )
+			.then( ( res ) => tileCodec.decodeTile( zlib.gunzipSync( res.data ) ).layers );
+	}
+
+	test( 'rename, split, and merge layers', () => getLayers( { mapping } ).then( ( layers ) => {
+		assert.deepStrictEqual(
+			layers.map( ( l ) => l.name ), [ 'road', 'motorway_label', 'poi_label' ]
+		);
+		assert.deepStrictEqual( getAttrs( layers[ 0 ] ), [
+			{ class: 'motorway', name: 'A1' },
+			{ class: 'street', name: 'Main St' }
+		] );
+		assert.deepStrictEqual( getAttrs( layers[ 1 ] ), [ { name: 'A1' } ] );
+		assert.deepStrictEqual( getAttrs( layers[ 2 ] ), [
+			{ maki: 'marker', name: 'Cafe' },
+			{ maki: 'marker', name: 'CDG' }
+		] );
+		assert.deepStrictEqual( layers[ 2 ].keys, [ 'maki', 'name' ] );
+	} ) );
+
+	test( 'mapping file and unmapped layers', () => {
+		fs.writeFileSync(
+			pathLib.join( dir, 'mapping.yaml' ),
+			'layers:\n  lake:\n    from: water\n'
+		);
+		return getLayers( { mapping: 'mapping.yaml', keepUnmapped: true } ).then( ( layers ) => {
+			assert.deepStrictEqual(
+				layers.map( ( l ) => l.name ), [ 'lake', 'transportation', 'poi', 'aerodrome_label' ]
+			);
+		} );
+	} );
+
+	test( 'info', () => newRemap( { protocol: 'remap:', query: { source: 'src', mapping } } )
+		.then( ( source ) => source.getAsync( { type: 'info' } ) )
+		.then( ( res ) => {
+			assert.strictEqual( res.data.maxzoom, 14 );
+			assert.deepStrictEqual( res.data.vector_layers, [
+				{ id: 'road', minzoom: 4, maxzoom: 14, fields: { class: 'String', name: 'String' } },
+				{ id: 'motorway_label', minzoom: 4, maxzoom: 14, fields: { name: 'String' } },
+				{ id: 'poi_label', minzoom: 10, maxzoom: 14, fields: { maki: 'String', name: 'String' } }
+			] );
+		} ) );
+} );
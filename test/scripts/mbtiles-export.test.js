@@ -0,0 +1,70 @@
+'use strict';
+
+// The core and the service startup load the native modules, only the helpers are tested here
+jest.mock( '../../lib/core', () => ( {} ) );
+jest.mock( '../../routes/kartotherian', () => ( {} ) );
+
+const assert = require( 'assert' );
+const exporter = require( '../../scripts/mbtiles-export' );
+
+describe( 'mbtiles-export', () => {
+	it( 'parses the arguments', () => {
+		assert.deepStrictEqual( Object.assign( {}, exporter.parseArgs( [
+			'-s', 'osm', '--output=out.mbtiles', '-Z', '5', '--verbose', '--bbox', '-1,-2,3,4'
+		] ) ), {
+			source: 'osm',
+			output: 'out.mbtiles',
+			maxzoom: '5',
+			verbose: true,
+			bbox: '-1,-2,3,4'
+		} );
+		assert.throws( () => exporter.parseArgs( [ 'osm' ] ), /Unexpected argument "osm"/ );
+	} );
+
+	it( 'applies the defaults and validates the options', () => {
+		const opts = exporter.getOptions( { source: 'osm', output: 'out.mbtiles', minzoom: '3' } );
+		assert.strictEqual( opts.format, 'pbf' );
+		assert.strictEqual( opts.concurrency, 4 );
+		assert.strictEqual( opts.minzoom, 3 );
+		assert.strictEqual( opts.maxzoom, 3 );
+		assert.deepStrictEqual( [ ...opts.bbox ], [ -180, -85.0511, 180, 85.0511 ] );
+
+		const getOptions = ( argv ) => exporter.getOptions(
+			Object.assign( { source: 'osm', output: 'out.mbtiles' }, argv )
+		);
+		assert.throws( () => exporter.getOptions( { source: 'osm' } ), /--source and --output/ );
+		assert.throws( () => getOptions( { bbox: '1,2,3' } ), /--bbox/ );
+		assert.throws( () => getOptions( { bbox: '3,2,1,4' } ), /--bbox/ );
+		assert.throws( () => getOptions( { minzoom: '5', maxzoom: '4' } ), /Invalid zoom range/ );
+		assert.throws( () => getOptions( { minzoom: '-1' } ), /Invalid zoom range/ );
+		assert.throws( () => getOptions( { maxzoom: '27' } ), /Invalid zoom range/ );
+		assert.strictEqual( getOptions( { maxzoom: '26' } ).maxzoom, 26 );
+		assert.throws( () => getOptions( { concurrency: 'abc' } ), /--concurrency/ );
+		assert.throws( () => getOptions( { concurrency: '0' } ), /--concurrency/ );
+		assert.throws( () => getOptions( { concurrency: '1.5' } ), /--concurrency/ );
+		assert.throws( () => getOptions( { concurrency: true } ), /--concurrency/ );
+		assert.strictEqual( getOptions( { concurrency: '8' } ).concurrency, 8 );
+	} );
+
+	it( 'converts the bbox to the tile range', () => {
+		const world = [ -180, -85.0511, 180, 85.0511 ];
+		assert.deepStrictEqual(
+			Object.assign( {}, exporter.getTileRange( world, 0 ) ),
+			{ minX: 0, maxX: 0, minY: 0, maxY: 0 }
+		);
+		assert.deepStrictEqual(
+			Object.assign( {}, exporter.getTileRange( world, 2 ) ),
+			{ minX: 0, maxX: 3, minY: 0, maxY: 3 }
+		);
+		// Paris
+		assert.deepStrictEqual(
+			Object.assign( {}, exporter.getTileRange( [ 2.2, 48.8, 2.5, 48.9 ], 10 ) ),
+			{ minX: 518, maxX: 519, minY: 352, maxY: 352 }
+		);
+		// latitudes beyond the Web Mercator limits are clamped
+		assert.deepStrictEqual(
+			Object.assign( {}, exporter.getTileRange( [ -10, -90, 10, 90 ], 1 ) ),
+			{ minX: 0, maxX: 1, minY: 0, maxY: 1 }
+		);
+	} );
+} );
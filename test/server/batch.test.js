@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require( 'assert' );
+const express = require( 'express' );
+const bodyParser = require( 'body-parser' );
+const preq = require( 'preq' );
+const Promise = require( 'bluebird' );
+const Err = require( '../../lib/err' );
+const tiles = require( '../../lib/server/tiles' );
+const batch = require( '../../lib/server/batch' );
+const { makeCore, start: serve } = require( '../utils/router' );
+
+/**
+ * Split the multipart response into the parts, sorted by the tile index
+ *
+ * @param {Object} res
+ * @return {Object[]} list of {headers, body}
+ */
+function parseParts( res ) {
+	const boundary = /boundary=(\w+)/.exec( res.headers[ 'content-type' ] )[ 1 ];
+	const body = res.body.toString( 'binary' );
+	assert.ok( body.endsWith( `--${boundary}--\r\n` ) );
+	return body.split( `--${boundary}` ).slice( 1, -1 ).map( ( part ) => {
+		const [ head, content ] = part.split( '\r\n\r\n' );
+		const headers = {};
+		for ( const line of head.trim().split( '\r\n' ) ) {
+			const [ key, value ] = line.split( ': ' );
+			headers[ key.toLowerCase() ] = value;
+		}
+		return { headers, body: content.slice( 0, -2 ) };
+	} ).sort( ( a, b ) => a.headers[ 'x-tile-index' ] - b.headers[ 'x-tile-index' ] );
+}
+
+describe( 'batch', () => {
+	let server;
+	let uri;
+
+	function start( getAsync ) {
+		const router = express.Router();
+		const core = makeCore( {
+			getConfiguration: () => ( { timeouts: { tiles: 1000 }, maxBatchTiles: 3 } ),
+			getPublicSource: ( id ) => {
+				if ( id !== 'osm' ) {
+					throw new Err( 'Unknown source' ).metrics( 'err.req.source' ).httpStatus( 404 );
+				}
+				return { formats: [ 'png', 'pbf' ], scales: [ '2' ], getHandler: () => ( { getAsync } ) };
+			}
+		} );
+		tiles( core, router );
+		batch( core, router );
+		return serve( router, [ bodyParser.json() ] ).then( ( srv ) => {
+			server = srv;
+			uri = srv.uri;
+		} );
+	}
+
+	afterEach( () => server.close() );
+
+	it( 'returns each tile with its status and headers', () => start(
+		( opts ) => Promise.resolve( {
+			data: Buffer.from( `tile ${opts.z}/${opts.x}/${opts.y} ${opts.scale || 1}x` ),
+			headers: {}
+		} )
+	).then( () => preq.post( {
+		uri: `${uri}/batch`,
+		headers: { 'content-type': 'application/json' },
+		body: { tiles: [
+			{ src: 'osm', z: 1, x: 0, y: 1, format: 'png', scale: 2 },
+			{ src: 'nope', z: 1, x: 0, y: 0, format: 'png' },
+			{ src: 'osm', z: 1, x: 5, y: 0, format: 'png', lang: 'en' }
+		] }
+	} ) ).then( ( res ) => {
+		assert.ok( res.headers[ 'content-type' ].startsWith( 'multipart/mixed' ) );
+		const parts = parseParts( res );
+		assert.strictEqual( parts.length, 3 );
+
+		assert.strictEqual( parts[ 0 ].headers[ 'x-tile-status' ], '200' );
+		assert.strictEqual( parts[ 0 ].headers[ 'content-type' ], 'image/png' );
+		assert.strictEqual( parts[ 0 ].headers[ 'content-location' ], '/osm/1/0/1@2x.png' );
+		assert.ok( parts[ 0 ].headers.etag );
+		assert.strictEqual( parts[ 0 ].body, 'tile 1/0/1 2x' );
+
+		assert.strictEqual( parts[ 1 ].headers[ 'x-tile-status' ], '404' );
+		assert.strictEqual( JSON.parse( parts[ 1 ].body ).detail, 'Unknown source' );
+
+		assert.strictEqual( parts[ 2 ].headers[ 'x-tile-status' ], '400' );
+		assert.strictEqual( parts[ 2 ].headers[ 'content-location' ], '/osm/1/5/0.png?lang=en' );
+	} ) );
+
+	it( 'limits the number of tiles', () => start( () => Promise.resolve( { data: '', headers: {} } ) )
+		.then( () => preq.post( {
+			uri: `${uri}/batch`,
+			headers: { 'content-type': 'application/json' },
+			body: { tiles: [ 1, 2, 3, 4 ].map( ( y ) => ( { src: 'osm', z: 3, x: 0, y, format: 'png' } ) ) }
+		} ) ).then( () => {
+			throw new Error( 'expected an error' );
+		}, ( err ) => {
+			assert.strictEqual( err.status, 400 );
+			assert.ok( /No more than 3 tiles/.test( err.body.detail ) );
+		} ) );
+} );
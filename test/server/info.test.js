@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require( 'assert' );
+const express = require( 'express' );
+const preq = require( 'preq' );
+const Promise = require( 'bluebird' );
+const tileCodec = require( '../../lib/babel/tileCodec' );
+const info = require( '../../lib/server/info' );
+const { makeCore, start: serve } = require( '../utils/router' );
+
+const tile = tileCodec.encodeTile( {
+	layers: [ {
+		name: 'poi',
+		version: 2,
+		extent: 4096,
+		keys: [ 'name', 'rank', 'open' ],
+		values: [ { tag: 1, value: 'Cafe' }, { tag: 5, value: 3 }, { tag: 7, value: true } ],
+		features: [ { type: 1, geometry: [ 9, 50, 34 ], tags: [ 0, 0, 1, 1, 2, 2 ] } ]
+	} ]
+} );
+
+function makeSource( formats, sourceInfo, getAsync ) {
+	const handler = {
+		getInfoAsync: () => Promise.resolve( sourceInfo ),
+		getAsync
+	};
+	return { formats, getHandler: () => handler };
+}
+
+describe( 'info', () => {
+	let server;
+	let uri;
+
+	function start( source ) {
+		const router = express.Router();
+		info( makeCore( {
+			getPublicSource: () => source,
+			validateScale: ( scale ) => parseFloat( scale )
+		} ), router );
+		return serve( router ).then( ( srv ) => {
+			server = srv;
+			uri = srv.uri;
+		} );
+	}
+
+	afterEach( () => server.close() );
+
+	it( 'generates the tiles urls', () => start(
+		makeSource( [ 'png', 'json' ], { tilejson: '2.1.0', minzoom: 0, maxzoom: 18 } )
+	).then( () => preq.get( `${uri}/osm/info.json` ) ).then( ( res ) => {
+		assert.deepStrictEqual( res.body.tiles, [ `${uri}/osm/{z}/{x}/{y}.png` ] );
+		assert.strictEqual( res.body.tilejson, '2.1.0' );
+		assert.strictEqual( res.body.vector_layers, undefined );
+		return preq.get( `${uri}/osm/info.json?scale=2&lang=fr` );
+	} ).then( ( res ) => {
+		assert.deepStrictEqual( res.body.tiles, [ `${uri}/osm/{z}/{x}/{y}@2x.png?lang=fr` ] );
+		return preq.get( `${uri}/osm/info.json?tileformat=svg` );
+	} ).then( () => {
+		throw new Error( 'expected an error' );
+	}, ( err ) => {
+		assert.strictEqual( err.status, 400 );
+	} ) );
+
+	it( 'keeps the configured tiles urls', () => start(
+		makeSource( [ 'png' ], { tiles: [ 'https://example.org/{z}/{x}/{y}.png' ] } )
+	).then( () => preq.get( `${uri}/osm/info.json` ) ).then( ( res ) => {
+		assert.deepStrictEqual( res.body.tiles, [ 'https://example.org/{z}/{x}/{y}.png' ] );
+	} ) );
+
+	it( 'samples vector layers and adds TileJSON 3 fields', () => {
+		const requested = [];
+		return start( makeSource( [ 'pbf' ], { minzoom: 0, maxzoom: 14, center: [ 2.35, 48.85, 4 ] },
+			( opts ) => {
+				requested.push( opts );
+				return Promise.resolve( { data: tile, headers: {} } );
+			}
+		) ).then( () => preq.get( `${uri}/vec/info.json?tilejson=3.0.0` ) ).then( ( res ) => {
+			assert.deepStrictEqual( res.body.vector_layers, [ {
+				id: 'poi',
+				fields: { name: 'String', rank: 'Number', open: 'Boolean' },
+				minzoom: 0,
+				maxzoom: 14
+			} ] );
+			assert.strictEqual( res.body.tilejson, '3.0.0' );
+			assert.strictEqual( res.body.scheme, 'xyz' );
+			assert.strictEqual( res.body.fillzoom, 14 );
+			assert.strictEqual( res.body.bounds.length, 4 );
+			assert.deepStrictEqual( res.body.tiles, [ `${uri}/vec/{z}/{x}/{y}.pbf` ] );
+			return preq.get( `${uri}/vec/info.json` );
+		} ).then( ( res ) => {
+			assert.strictEqual( res.body.vector_layers.length, 1 );
+			assert.strictEqual( res.body.scheme, undefined );
+			// the sample is cached
+			assert.deepStrictEqual( requested, [ { type: 'tile', z: 4, x: 8, y: 5 } ] );
+		} );
+	} );
+} );
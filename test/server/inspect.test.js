@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require( 'assert' );
+const express = require( 'express' );
+const preq = require( 'preq' );
+const Promise = require( 'bluebird' );
+const tileCodec = require( '../../lib/babel/tileCodec' );
+const tiles = require( '../../lib/server/tiles' );
+const inspect = require( '../../lib/server/inspect' );
+const { makeCore, start } = require( '../utils/router' );
+
+const tile = tileCodec.encodeTile( {
+	layers: [ {
+		version: 2,
+		name: 'poi',
+		extent: 4096,
+		keys: [ 'name', 'rank' ],
+		values: [ { tag: 1, value: 'a' }, { tag: 1, value: 'b' }, { tag: 5, value: 1 } ],
+		features: [
+			{ type: 1, tags: [ 0, 0, 1, 2 ], geometry: [ 9, 2, 2 ] },
+			{ type: 1, tags: [ 0, 1 ], geometry: [ 17, 2, 2, 4, 4 ] }
+		]
+	}, {
+		version: 2,
+		name: 'water',
+		extent: 4096,
+		keys: [],
+		values: [],
+		features: [
+			// MoveTo 1, LineTo 2, ClosePath
+			{ type: 3, geometry: [ 9, 0, 0, 18, 10, 0, 0, 10, 15 ] }
+		]
+	} ]
+} );
+
+describe( 'inspect', () => {
+	it( 'builds the statistics of the layers', () => {
+		const report = inspect.inspectTile( tile );
+		assert.strictEqual( report.bytes, tile.length );
+		assert.deepStrictEqual( report.layers.map( ( l ) => l.name ), [ 'poi', 'water' ] );
+
+		const [ poi, water ] = report.layers;
+		assert.deepStrictEqual( poi.geometryTypes, { Point: 2 } );
+		assert.strictEqual( poi.vertices, 3 );
+		assert.strictEqual( poi.maxFeatureVertices, 2 );
+		assert.deepStrictEqual( poi.keys, {
+			name: { features: 2, cardinality: 2, types: { string: 2 } },
+			rank: { features: 1, cardinality: 1, types: { uint: 1 } }
+		} );
+		assert.deepStrictEqual( water.geometryTypes, { Polygon: 1 } );
+		assert.strictEqual( water.vertices, 3 );
+		// layer sizes exclude the layer field's own tag and length
+		assert.strictEqual( poi.bytes + water.bytes + 4, tile.length );
+		assert.ok( poi.byteShare > water.byteShare );
+	} );
+
+	function serve( getAsync, timeout ) {
+		const router = express.Router();
+		const core = makeCore( {
+			getPublicSource: () => ( {
+				formats: [ 'pbf' ],
+				timeout,
+				getHandler: () => ( { getAsync } )
+			} )
+		} );
+		tiles( core, router );
+		inspect( core, router );
+		return start( router );
+	}
+
+	it( 'serves the report', () => serve(
+		() => Promise.resolve( { data: tile, headers: {} } )
+	).then( ( server ) => preq.get( `${server.uri}/osm/1/0/1/inspect.json` )
+		.then( ( res ) => {
+			assert.strictEqual( res.body.layers[ 1 ].name, 'water' );
+		} ).finally( () => server.close() ) ) );
+
+	it( 'stops waiting for the tile after the source timeout', () => serve(
+		() => Promise.delay( 200 ).return( { data: tile, headers: {} } ), 20
+	).then( ( server ) => preq.get( `${server.uri}/osm/1/0/1/inspect.json` )
+		.then( () => {
+			throw new Error( 'expected an error' );
+		}, ( err ) => {
+			assert.strictEqual( err.status, 504 );
+		} ).finally( () => server.close() ) ) );
+} );
@@ -0,0 +1,133 @@
+'use strict';
+
+const assert = require( 'assert' );
+const express = require( 'express' );
+const preq = require( 'preq' );
+const Promise = require( 'bluebird' );
+const Err = require( '../../lib/err' );
+const tiles = require( '../../lib/server/tiles' );
+const ogcapi = require( '../../lib/server/ogcapi' );
+const { makeCore, start: serve } = require( '../utils/router' );
+
+const tileData = Buffer.from( 'fake tile' );
+
+describe( 'ogcapi', () => {
+	let server;
+	let uri;
+	let requested;
+
+	const getHandler = () => ( {
+		getAsync: ( opts ) => {
+			requested.push( opts );
+			return Promise.resolve( { data: tileData, headers: {} } );
+		}
+	} );
+	const sources = {
+		osm: { public: true, formats: [ 'pbf' ], minzoom: 1, maxzoom: 2, getHandler },
+		raster: { public: true, formats: [ 'png', 'webp' ], getHandler },
+		hidden: { formats: [ 'jpeg' ], getHandler }
+	};
+
+	beforeEach( () => {
+		requested = [];
+		const router = express.Router();
+		const core = makeCore( {
+			getSources: () => ( { getSourceConfigs: () => sources } ),
+			getPublicSource: ( id ) => {
+				if ( !sources[ id ] || !sources[ id ].public ) {
+					throw new Err( 'Unknown source' ).metrics( 'err.req.source' ).httpStatus( 404 );
+				}
+				return sources[ id ];
+			}
+		} );
+		ogcapi( core, router );
+		tiles( core, router );
+		return serve( router ).then( ( srv ) => {
+			server = srv;
+			uri = srv.uri;
+		} );
+	} );
+
+	afterEach( () => server.close() );
+
+	it( 'lists the public sources as collections', () => preq.get( `${uri}/collections` ).then( ( res ) => {
+		assert.deepStrictEqual( res.body.collections.map( ( c ) => c.id ), [ 'osm', 'raster' ] );
+		assert.deepStrictEqual( res.body.collections[ 0 ].links[ 1 ], {
+			href: `${uri}/collections/osm/tiles`,
+			rel: 'http://www.opengis.net/def/rel/ogc/1.0/tilesets-vector',
+			type: 'application/json'
+		} );
+	} ) );
+
+	it( 'serves the landing page to the API clients', () => preq.get( {
+		uri: `${uri}/`,
+		headers: { accept: 'application/json' }
+	} ).then( ( res ) => {
+		assert.deepStrictEqual( res.body.links.map( ( l ) => l.rel ), [
+			'self', 'service-desc', 'conformance', 'data',
+			'http://www.opengis.net/def/rel/ogc/1.0/tiling-schemes'
+		] );
+		assert.strictEqual( res.body.links[ 2 ].href, `${uri}/conformance` );
+		return preq.get( `${uri}/?f=json` );
+	} ).then( ( res ) => {
+		assert.strictEqual( res.body.title, 'Kartotherian' );
+		// browsers get the next handler, e.g. the demo page
+		return preq.get( { uri: `${uri}/`, headers: { accept: 'text/html,*/*' } } );
+	} ).then( () => {
+		throw new Error( 'expected an error' );
+	}, ( err ) => {
+		assert.strictEqual( err.status, 404 );
+	} ) );
+
+	it( 'declares the encodings of the public sources', () => preq.get( `${uri}/conformance` ).then( ( res ) => {
+		const encodings = res.body.conformsTo
+			.filter( ( c ) => /\/conf\/(mvt|png|jpeg|webp)$/.test( c ) )
+			.map( ( c ) => c.split( '/' ).pop() );
+		// the hidden source with the jpeg tiles is not listed
+		assert.deepStrictEqual( encodings, [ 'png', 'mvt' ] );
+		assert.ok( res.body.conformsTo.includes( 'http://www.opengis.net/spec/ogcapi-common-1/1.0/conf/landing-page' ) );
+	} ) );
+
+	it( 'describes the tile matrix set and the tileset', () => preq.get(
+		`${uri}/tileMatrixSets/WebMercatorQuad`
+	).then( ( res ) => {
+		assert.strictEqual( res.body.tileMatrices.length, 25 );
+		assert.strictEqual( res.body.tileMatrices[ 1 ].matrixWidth, 2 );
+		return preq.get( `${uri}/collections/osm/tiles/WebMercatorQuad` );
+	} ).then( ( res ) => {
+		assert.strictEqual( res.body.dataType, 'vector' );
+		assert.deepStrictEqual( res.body.tileMatrixSetLimits.map( ( l ) => l.tileMatrix ), [ '1', '2' ] );
+		assert.strictEqual(
+			res.body.links[ 2 ].href,
+			`${uri}/collections/osm/tiles/WebMercatorQuad/{tileMatrix}/{tileRow}/{tileCol}?f=mvt`
+		);
+	} ) );
+
+	it( 'serves the tiles in the requested format', () => preq.get(
+		`${uri}/collections/raster/tiles/WebMercatorQuad/2/1/3?f=webp`
+	).then( ( res ) => {
+		assert.strictEqual( res.headers[ 'content-type' ], 'image/webp' );
+		assert.strictEqual( requested[ 0 ].z, 2 );
+		assert.strictEqual( requested[ 0 ].x, 3 );
+		assert.strictEqual( requested[ 0 ].y, 1 );
+		// without the f param, the first acceptable format is used
+		return preq.get( `${uri}/collections/raster/tiles/WebMercatorQuad/2/1/3` );
+	} ).then( ( res ) => {
+		assert.strictEqual( res.headers[ 'content-type' ], 'image/png' );
+		assert.strictEqual( res.headers.vary, 'Accept' );
+	} ) );
+
+	it( 'returns 404 for the unknown tile matrix sets and sources', () => preq.get(
+		`${uri}/collections/osm/tiles/WorldCRS84Quad/1/0/0`
+	).then( () => {
+		throw new Error( 'expected an error' );
+	}, ( err ) => {
+		assert.strictEqual( err.status, 404 );
+		return preq.get( `${uri}/collections/hidden/tiles` );
+	} ).then( () => {
+		throw new Error( 'expected an error' );
+	}, ( err ) => {
+		assert.strictEqual( err.status, 404 );
+		assert.strictEqual( requested.length, 0 );
+	} ) );
+} );
@@ -0,0 +1,55 @@
+'use strict';
+
+const assert = require( 'assert' );
+const express = require( 'express' );
+const preq = require( 'preq' );
+const Promise = require( 'bluebird' );
+const glstyle = require( '../../lib/glstyle' );
+const style = require( '../../lib/server/style' );
+const { makeCore, start: serve } = require( '../utils/router' );
+
+describe( 'style', () => {
+	let server;
+	let uri;
+
+	function start( source ) {
+		const router = express.Router();
+		style( makeCore( { getPublicSource: () => source } ), router );
+		return serve( router ).then( ( srv ) => {
+			server = srv;
+			uri = srv.uri;
+		} );
+	}
+
+	afterEach( () => server.close() );
+
+	it( 'serves the localized style', () => start( {
+		formats: [ 'pbf' ],
+		glStyle: glstyle.validate( {
+			style: {
+				version: 8,
+				layers: [ { id: 'places', type: 'symbol', 'source-layer': 'place', layout: { 'text-field': '{name}' } } ]
+			},
+			languageMap: { fr: [ 'en' ] }
+		}, __dirname ),
+		getHandler: () => ( {
+			getInfoAsync: () => Promise.resolve( {
+				vector_layers: [ { id: 'place', fields: { name: 'String', name_en: 'String' } } ]
+			} )
+		} )
+	} ).then( () => preq.get( `${uri}/osm/style.json?lang=fr` ) ).then( ( res ) => {
+		assert.deepStrictEqual( res.body.sources, {
+			osm: { type: 'vector', url: `${uri}/osm/info.json` }
+		} );
+		assert.deepStrictEqual( res.body.layers[ 0 ].layout[ 'text-field' ], [
+			'coalesce', [ 'get', 'name_fr' ], [ 'get', 'name_en' ], [ 'get', 'name' ]
+		] );
+	} ) );
+
+	it( 'returns 404 without the style', () => start( { formats: [ 'pbf' ] } )
+		.then( () => preq.get( `${uri}/osm/style.json` ) ).then( () => {
+			throw new Error( 'expected an error' );
+		}, ( err ) => {
+			assert.strictEqual( err.status, 404 );
+		} ) );
+} );
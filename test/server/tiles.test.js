@@ -0,0 +1,210 @@
+'use strict';
+
+const assert = require( 'assert' );
+const express = require( 'express' );
+const preq = require( 'preq' );
+const Promise = require( 'bluebird' );
+const tiles = require( '../../lib/server/tiles' );
+const tileCodec = require( '../../lib/babel/tileCodec' );
+const { makeCore, start: serve } = require( '../utils/router' );
+
+const tileData = Buffer.from( 'fake tile' );
+
+describe( 'tiles', () => {
+	let server;
+	let uri;
+
+	function start( getAsync, timeout, encoding ) {
+		const router = express.Router();
+		tiles( makeCore( {
+			getPublicSource: () => ( {
+				formats: [ 'png', 'pbf', 'webp', 'auto', 'geojson', 'json' ],
+				timeout,
+				encoding,
+				getHandler: () => ( { getAsync } )
+			} )
+		} ), router );
+		return serve( router ).then( ( srv ) => {
+			server = srv;
+			uri = srv.uri;
+		} );
+	}
+
+	afterEach( () => server.close() );
+
+	it( 'returns 304 for a matching If-None-Match', () => start(
+		() => Promise.resolve( { data: tileData, headers: { 'Content-Type': 'image/png' } } )
+	).then( () => preq.get( `${uri}/osm/1/0/0.png` ) ).then( ( res ) => {
+		assert.strictEqual( res.status, 200 );
+		assert.ok( res.headers.etag );
+		return preq.get( {
+			uri: `${uri}/osm/1/0/0.png`,
+			headers: { 'if-none-match': res.headers.etag }
+		} );
+	} ).then( ( res ) => {
+		assert.strictEqual( res.status, 304 );
+	} ) );
+
+	it( 'varies the ETag by lang', () => {
+		let etag;
+		return start(
+			() => Promise.resolve( { data: tileData, headers: {} } )
+		).then( () => preq.get( `${uri}/osm/1/0/0.png?lang=en` ) ).then( ( res ) => {
+			etag = res.headers.etag;
+			return preq.get( `${uri}/osm/1/0/0.png?lang=fr` );
+		} ).then( ( res ) => {
+			assert.notStrictEqual( res.headers.etag, etag );
+		} );
+	} );
+
+	it( 'honors If-Modified-Since when the source reports Last-Modified', () => start(
+		() => Promise.resolve( {
+			data: tileData,
+			headers: { 'Last-Modified': 'Mon, 01 Jan 2018 00:00:00 GMT' }
+		} )
+	).then( () => preq.get( {
+		uri: `${uri}/osm/1/0/0.png`,
+		headers: { 'if-modified-since': 'Tue, 02 Jan 2018 00:00:00 GMT' }
+	} ) ).then( ( res ) => {
+		assert.strictEqual( res.status, 304 );
+	} ) );
+
+	it( 'coalesces concurrent requests for the same tile', () => {
+		let calls = 0;
+		return start( () => {
+			calls++;
+			return Promise.delay( 50 ).return( { data: tileData, headers: {} } );
+		} ).then( () => Promise.all( [
+			preq.get( `${uri}/osm/1/0/0.png` ),
+			preq.get( `${uri}/osm/1/0/0.png` ),
+			preq.get( `${uri}/osm/1/0/0.png?lang=en` )
+		] ) ).then( ( results ) => {
+			assert.deepStrictEqual( results.map( ( res ) => res.status ), [ 200, 200, 200 ] );
+			assert.strictEqual( calls, 2 );
+		} );
+	} );
+
+	it( 'does not filter the JSON shared with a concurrent request', () => start(
+		() => Promise.delay( 50 ).return( {
+			data: [ { name: 'roads', features: [ { type: 2, geometry: [ [ 1, 2 ], [ 3, 4 ] ] } ] } ],
+			headers: {}
+		} )
+	).then( () => Promise.all( [
+		preq.get( `${uri}/osm/2/0/0.json?nogeo` ),
+		preq.get( `${uri}/osm/2/0/0.json` )
+	] ) ).then( ( [ nogeo, plain ] ) => {
+		assert.deepStrictEqual( nogeo.body[ 0 ].features[ 0 ].geometry, 2 );
+		assert.deepStrictEqual( plain.body[ 0 ].features[ 0 ].geometry, [ [ 1, 2 ], [ 3, 4 ] ] );
+	} ) );
+
+	it( 'returns 504 when the tile takes longer than the source timeout', () => start(
+		() => Promise.delay( 200 ).return( { data: tileData, headers: {} } ), 20
+	).then( () => preq.get( `${uri}/osm/1/0/0.png` ) ).then( () => {
+		throw new Error( 'expected an error' );
+	}, ( err ) => {
+		assert.strictEqual( err.status, 504 );
+		assert.strictEqual( err.body.type, 'timeout' );
+	} ) );
+
+	it( 'returns 503 when the upstream of the source is unreachable', () => start( () => {
+		const err = new Error( 'connect ECONNREFUSED 127.0.0.1:8080' );
+		err.code = 'ECONNREFUSED';
+		return Promise.reject( err );
+	} ).then( () => preq.get( `${uri}/osm/1/0/1.png` ) ).then( () => {
+		throw new Error( 'expected an error' );
+	}, ( err ) => {
+		assert.strictEqual( err.status, 503 );
+		assert.strictEqual( err.body.type, 'unavailable' );
+	} ) );
+
+	it( 'returns 404 for a missing tile', () => start(
+		() => Promise.reject( new Error( 'Tile does not exist' ) )
+	).then( () => preq.get( `${uri}/osm/1/1/1.png` ) ).then( () => {
+		throw new Error( 'expected an error' );
+	}, ( err ) => {
+		assert.strictEqual( err.status, 404 );
+		assert.strictEqual( err.headers[ 'content-type' ], 'application/problem+json; charset=utf-8' );
+		assert.strictEqual( err.body.detail, 'Tile does not exist' );
+	} ) );
+
+	it( 'renders with the encoding settings of the source', () => {
+		let format;
+		return start( ( opts ) => {
+			format = opts.format;
+			return Promise.resolve( { data: tileData, headers: {} } );
+		}, undefined, { png: { colors: 64, compression: 9 } } )
+			.then( () => preq.get( `${uri}/osm/2/1/1.png` ) ).then( () => {
+				assert.strictEqual( format, 'png8:m=h:c=64:z=9' );
+			} );
+	} );
+
+	it( 'picks the format based on the Accept header', () => {
+		const formats = [];
+		return start( ( opts ) => {
+			formats.push( opts.format );
+			return Promise.resolve( { data: tileData, headers: { 'Content-Type': 'image/png' } } );
+		} ).then( () => preq.get( {
+			uri: `${uri}/osm/3/1/1.auto`,
+			headers: { accept: 'image/avif,image/webp,*/*' }
+		} ) ).then( ( res ) => {
+			assert.strictEqual( res.headers[ 'content-type' ], 'image/webp' );
+			assert.strictEqual( res.headers.vary, 'Accept' );
+			return preq.get( { uri: `${uri}/osm/3/1/1.auto`, headers: { accept: '*/*' } } );
+		} ).then( ( res ) => {
+			assert.strictEqual( res.headers[ 'content-type' ], 'image/png' );
+			assert.strictEqual( res.headers.vary, 'Accept' );
+			assert.deepStrictEqual( formats, [ 'webp', 'png8:m=h' ] );
+			return preq.get( `${uri}/osm/3/1/1.png` );
+		} ).then( ( res ) => {
+			assert.strictEqual( res.headers.vary, undefined );
+		} );
+	} );
+
+	const vectorTile = tileCodec.encodeTile( { layers: [ {
+		version: 2,
+		name: 'poi',
+		extent: 4096,
+		keys: [ 'name', 'rank' ],
+		values: [ { tag: 1, value: 'cafe' }, { tag: 5, value: 3 } ],
+		features: [ { id: 7, type: 1, tags: [ 0, 0, 1, 1 ], geometry: [ 9, 8192, 8192 ] } ]
+	} ] } );
+
+	it( 'converts the vector tile into GeoJSON', () => {
+		const formats = [];
+		return start( ( opts ) => {
+			formats.push( opts.format );
+			return Promise.resolve( {
+				data: vectorTile,
+				headers: { 'Content-Type': 'application/x-protobuf' }
+			} );
+		} ).then( () => preq.get( `${uri}/osm/1/0/0.geojson?merge&props=name` ) ).then( ( res ) => {
+			assert.ok( res.headers[ 'content-type' ].startsWith( 'application/geo+json' ) );
+			// the vector tile is requested same as for the pbf format
+			assert.deepStrictEqual( formats, [ undefined ] );
+			assert.deepStrictEqual( res.body.features, [ {
+				type: 'Feature',
+				id: 7,
+				geometry: { type: 'Point', coordinates: [ 0, 0 ] },
+				properties: { name: 'cafe', vt_layer: 'poi' }
+			} ] );
+		} );
+	} );
+
+	it( 'converts the vector tile into the collections by the layer name', () => start(
+		() => Promise.resolve( { data: vectorTile, headers: {} } )
+	).then( () => preq.get( `${uri}/osm/3/0/0.geojson` ) ).then( ( res ) => {
+		// only the merged collection is GeoJSON
+		assert.ok( res.headers[ 'content-type' ].startsWith( 'application/json' ) );
+		assert.deepStrictEqual( res.body, {
+			poi: {
+				type: 'FeatureCollection',
+				features: [ {
+					type: 'Feature',
+					id: 7,
+					geometry: { type: 'Point', coordinates: [ -135, 79.17133464081945 ] },
+					properties: { name: 'cafe', rank: 3 }
+				} ]
+			}
+		} );
+	} ) );
+} );
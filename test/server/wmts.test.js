@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require( 'assert' );
+const express = require( 'express' );
+const preq = require( 'preq' );
+const Promise = require( 'bluebird' );
+const tiles = require( '../../lib/server/tiles' );
+const wmts = require( '../../lib/server/wmts' );
+const { makeCore, start: serve } = require( '../utils/router' );
+
+const tileData = Buffer.from( 'fake tile' );
+
+describe( 'wmts', () => {
+	let server;
+	let uri;
+	let requested;
+
+	const sources = {
+		osm: {
+			public: true,
+			formats: [ 'png', 'pbf', 'json' ],
+			scales: [ '2' ],
+			maxzoom: 3,
+			getHandler: () => ( {
+				getAsync: ( opts ) => {
+					requested.push( opts );
+					return Promise.resolve( { data: tileData, headers: {} } );
+				}
+			} )
+		},
+		hidden: { formats: [ 'png' ] }
+	};
+
+	beforeEach( () => {
+		requested = [];
+		const router = express.Router();
+		const core = makeCore( {
+			getSources: () => ( { getSourceConfigs: () => sources } ),
+			getPublicSource: ( id ) => sources[ id ]
+		} );
+		wmts( core, router );
+		tiles( core, router );
+		return serve( router ).then( ( srv ) => {
+			server = srv;
+			uri = srv.uri;
+		} );
+	} );
+
+	afterEach( () => server.close() );
+
+	it( 'lists the public sources in the capabilities', () => preq.get(
+		`${uri}/wmts?service=WMTS&request=GetCapabilities`
+	).then( ( res ) => {
+		const xml = res.body.toString();
+		assert.ok( /<ows:Identifier>osm<\/ows:Identifier>/.test( xml ) );
+		assert.ok( !/hidden/.test( xml ) );
+		assert.ok( xml.includes( '<Format>image/png</Format>' ) );
+		assert.ok( xml.includes( '<Format>application/vnd.mapbox-vector-tile</Format>' ) );
+		assert.ok( !xml.includes( 'json' ) );
+		assert.ok( xml.includes( `template="${uri}/wmts/1.0.0/osm/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png"` ) );
+		assert.ok( xml.includes( '<ows:Identifier>GoogleMapsCompatible@2x</ows:Identifier>' ) );
+		assert.ok( xml.includes( '<TileWidth>512</TileWidth>' ) );
+		// only the 1x set matches the well-known scale set
+		assert.strictEqual( xml.split( '<WellKnownScaleSet>' ).length, 2 );
+		assert.ok( xml.includes( '<ows:Identifier>GoogleMapsCompatible</ows:Identifier><ows:SupportedCRS>urn:ogc:def:crs:EPSG::3857</ows:SupportedCRS><WellKnownScaleSet>' ) );
+		// the tile matrices stop at the largest maxzoom
+		assert.ok( xml.includes( '<TileMatrix><ows:Identifier>3</ows:Identifier>' ) );
+		assert.ok( !xml.includes( '<TileMatrix><ows:Identifier>4</ows:Identifier>' ) );
+	} ) );
+
+	it( 'serves the RESTful tiles', () => preq.get(
+		`${uri}/wmts/1.0.0/osm/default/GoogleMapsCompatible@2x/2/1/3.png`
+	).then( ( res ) => {
+		assert.strictEqual( res.status, 200 );
+		assert.strictEqual( res.headers[ 'content-type' ], 'image/png' );
+		assert.strictEqual( requested[ 0 ].z, 2 );
+		assert.strictEqual( requested[ 0 ].x, 3 );
+		assert.strictEqual( requested[ 0 ].y, 1 );
+		assert.strictEqual( requested[ 0 ].scale, '2' );
+	} ) );
+
+	it( 'serves the KVP tiles', () => preq.get(
+		`${uri}/wmts?SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&LAYER=osm&STYLE=default` +
+		'&TILEMATRIXSET=GoogleMapsCompatible&TILEMATRIX=1&TILEROW=0&TILECOL=1' +
+		'&FORMAT=application/vnd.mapbox-vector-tile'
+	).then( ( res ) => {
+		assert.strictEqual( res.status, 200 );
+		assert.deepStrictEqual( requested[ 0 ], { z: 1, x: 1, y: 0, treatAsVector: true } );
+	} ) );
+
+	it( 'rejects unknown tile matrix sets', () => preq.get(
+		`${uri}/wmts/1.0.0/osm/default/EPSG:4326/1/0/0.png`
+	).then( () => {
+		throw new Error( 'expected an error' );
+	}, ( err ) => {
+		assert.strictEqual( err.status, 400 );
+		assert.strictEqual( requested.length, 0 );
+	} ) );
+} );
@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * Test that the static images without overlays are encoded with the settings of the source.
+ */
+
+// Stitching and rendering need the native mapnik, only record what is requested.
+jest.mock( '@kartotherian/abaculus', () => jest.fn() );
+jest.mock( '@kartotherian/tilelive-overlay', () => jest.fn() );
+const abaculus = require( '@kartotherian/abaculus' );
+
+const encoding = require( '../../../lib/encoding' );
+const snapshotSetup = require( '../../../lib/snapshot' );
+const Deadline = require( '../../../lib/deadline' );
+
+function callSnapshot( format, sourceEncoding ) {
+	return new Promise( ( resolve, reject ) => {
+		const core = {
+			getConfiguration: () => ( {} ),
+			getPublicSource: () => ( {
+				formats: [ 'png', 'jpeg', 'webp' ],
+				encoding: encoding.validate( sourceEncoding ),
+				getHandler: jest.fn(),
+				maxwidth: 9999,
+				maxheight: 9999,
+				static: true
+			} ),
+			validateScale: () => 1,
+			validateZoom: ( zoom ) => +zoom,
+			setResponseHeaders: jest.fn(),
+			reportRequestError: reject,
+			metrics: { endTiming: jest.fn() },
+			Sources: { sourceIdReStr: '[a-z]+' },
+			Deadline,
+			mapnik: {
+				Image: {
+					fromBytesAsync: () => Promise.resolve( {
+						encodeAsync: ( fmt ) => Promise.resolve( Buffer.from( fmt ) )
+					} )
+				}
+			}
+		};
+		const router = {
+			get: ( route, handler ) => {
+				const req = {
+					params: { src: 'osm', zoom: '5', lat: '10', lon: '20', w: '100', h: '100', format },
+					query: {}
+				};
+				const res = {
+					on: jest.fn(),
+					removeListener: jest.fn(),
+					send: resolve
+				};
+				handler( req, res, reject );
+			}
+		};
+		snapshotSetup( core, router );
+	} );
+}
+
+beforeEach( () => abaculus.mockReset().mockImplementation(
+	( params, cb ) => cb( undefined, Buffer.from( 'stitched' ), {} )
+) );
+
+describe( 'static image without overlays', () => {
+	test( 'uses the png settings of the source', async () => {
+		const data = await callSnapshot( 'png', { png: { truecolor: true, compression: 6 } } );
+		expect( data.toString() ).toBe( 'png32:z=6' );
+		// tiles are stitched losslessly
+		expect( abaculus.mock.calls[ 0 ][ 0 ].format ).toBe( 'png' );
+	} );
+
+	test( 'uses the webp settings of the source', async () => {
+		const data = await callSnapshot( 'webp', { webp: { lossless: true, method: 6 } } );
+		expect( data.toString() ).toBe( 'webp:method=6:lossless=1' );
+	} );
+
+	test( 'compresses png more than the tiles by default', async () => {
+		const data = await callSnapshot( 'png', { png: { quantizer: 'octree' } } );
+		expect( data.toString() ).toBe( 'png8:m=o:z=9' );
+	} );
+} );
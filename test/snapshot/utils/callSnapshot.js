@@ -1,6 +1,7 @@
 'use strict';
 
 const snapshotSetup = require( '../../../lib/snapshot' );
+const Deadline = require( '../../../lib/deadline' );
 
 module.exports = ( additionalConfig, additionalQueryParams ) =>
 	new Promise( ( resolve ) => {
@@ -22,7 +23,8 @@ module.exports = ( additionalConfig, additionalQueryParams ) =>
 			},
 			reportRequestError: ( err ) => { throw err; },
 			validateScale: () => true,
-			Sources: []
+			Sources: [],
+			Deadline
 		};
 		const router = {
 			get: ( route, handler ) => {
@@ -42,6 +44,8 @@ module.exports = ( additionalConfig, additionalQueryParams ) =>
 				};
 				// TODO: catch and log errors from res
 				const res = jest.fn();
+				res.on = jest.fn();
+				res.removeListener = jest.fn();
 				const next = jest.fn();
 				handler( req, res, next ).then( () => {
 					resolve( [ req, res, next ] );
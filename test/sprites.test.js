@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require( 'assert' );
+const pathLib = require( 'path' );
+const maki = require( 'maki' );
+const sprites = require( '../lib/sprites' );
+
+describe( 'sprites', () => {
+	it( 'reads the PNG size', () => {
+		const png = Buffer.alloc( 24 );
+		png.writeUInt32BE( 0x89504e47, 0 );
+		png.write( 'IHDR', 12, 'ascii' );
+		png.writeUInt32BE( 18, 16 );
+		png.writeUInt32BE( 36, 20 );
+		assert.deepStrictEqual( sprites.readPngSize( png ), { width: 18, height: 36 } );
+		assert.throws( () => sprites.readPngSize( Buffer.from( 'GIF89a' ) ), /not a PNG/ );
+	} );
+
+	it( 'places the icons in rows', () => {
+		const sheet = sprites.makeLayout( [
+			{ id: 'a-12', width: 12, height: 12 },
+			{ id: 'b-24', width: 24, height: 24 },
+			{ id: 'a-24', width: 24, height: 24 },
+			{ id: 'b-12', width: 12, height: 12 }
+		], 50, 2 );
+		assert.deepStrictEqual( sheet, {
+			width: 48,
+			height: 36,
+			layout: {
+				'a-24': { x: 0, y: 0, width: 24, height: 24, pixelRatio: 2 },
+				'b-24': { x: 24, y: 0, width: 24, height: 24, pixelRatio: 2 },
+				'a-12': { x: 0, y: 24, width: 12, height: 12, pixelRatio: 2 },
+				'b-12': { x: 12, y: 24, width: 12, height: 12, pixelRatio: 2 }
+			}
+		} );
+	} );
+
+	it( 'loads the maki icons of each pixel ratio', () => {
+		const dir = pathLib.join( maki.dirname, 'renders' );
+		return Promise.all( [
+			sprites.loadIconsAsync( dir, 1 ),
+			sprites.loadIconsAsync( dir, 2 )
+		] ).then( ( [ icons1x, icons2x ] ) => {
+			assert.strictEqual( icons1x.length, icons2x.length );
+			const cafe1x = icons1x.find( ( icon ) => icon.id === 'cafe-12' );
+			const cafe2x = icons2x.find( ( icon ) => icon.id === 'cafe-12' );
+			assert.strictEqual( cafe2x.width, cafe1x.width * 2 );
+			assert.strictEqual( cafe2x.height, cafe1x.height * 2 );
+		} );
+	} );
+} );
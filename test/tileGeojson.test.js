@@ -0,0 +1,50 @@
+'use strict';
+
+const assert = require( 'assert' );
+const tileCodec = require( '../lib/babel/tileCodec' );
+const toGeojson = require( '../lib/tileGeojson' );
+
+const tile = tileCodec.encodeTile( {
+	layers: [ {
+		version: 2,
+		name: 'road',
+		extent: 4096,
+		keys: [ 'class', 'ref' ],
+		values: [ { tag: 1, value: 'primary' }, { tag: 1, value: 'A1' } ],
+		features: [
+			// MoveTo 0,0 and LineTo 4096,4096, the whole tile diagonal
+			{ type: 2, tags: [ 0, 0, 1, 1 ], geometry: [ 9, 0, 0, 10, 8192, 8192 ] }
+		]
+	}, {
+		version: 2,
+		name: 'water',
+		extent: 4096,
+		keys: [],
+		values: [],
+		features: [
+			{ type: 3, geometry: [ 9, 0, 0, 26, 8192, 0, 0, 8192, 8191, 0, 15 ] }
+		]
+	} ]
+} );
+
+describe( 'tileGeojson', () => {
+	it( 'converts each layer into a FeatureCollection', () => {
+		const result = toGeojson( tile, 1, 1, 0 );
+		assert.deepStrictEqual( Object.keys( result ), [ 'road', 'water' ] );
+		const road = result.road.features[ 0 ];
+		assert.strictEqual( road.geometry.type, 'LineString' );
+		// tile 1/1/0 is the north-east quarter of the world
+		assert.deepStrictEqual( road.geometry.coordinates[ 1 ], [ 180, 0 ] );
+		assert.strictEqual( road.geometry.coordinates[ 0 ][ 0 ], 0 );
+		assert.ok( Math.abs( road.geometry.coordinates[ 0 ][ 1 ] - 85.0511 ) < 1e-4 );
+		assert.deepStrictEqual( road.properties, { class: 'primary', ref: 'A1' } );
+		assert.strictEqual( result.water.features[ 0 ].geometry.type, 'Polygon' );
+	} );
+
+	it( 'filters the layers and properties', () => {
+		const result = toGeojson( tile, 1, 1, 0, { layers: [ 'road' ], props: [ 'ref' ], merge: true } );
+		assert.strictEqual( result.type, 'FeatureCollection' );
+		assert.strictEqual( result.features.length, 1 );
+		assert.deepStrictEqual( result.features[ 0 ].properties, { ref: 'A1', vt_layer: 'road' } );
+	} );
+} );
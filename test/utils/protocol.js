@@ -0,0 +1,53 @@
+'use strict';
+
+const Promise = require( 'bluebird' );
+const zlib = require( 'zlib' );
+
+/**
+ * Stub of the core for the tests of the tilelive protocols, such as memcache:// or fallback://
+ * The incremented metrics are recorded in core.metrics.counts
+ *
+ * @param {Object} [overrides] core members used by the tested protocol, e.g. loadSource
+ * @return {Object}
+ */
+function makeCore( overrides ) {
+	const counts = {};
+	return Object.assign( {
+		tilelive: { protocols: {} },
+		log: () => {},
+		errToStr: ( err ) => err.message,
+		metrics: {
+			counts,
+			increment: ( name, value ) => {
+				counts[ name ] = ( counts[ name ] || 0 ) + ( value === undefined ? 1 : value );
+			}
+		},
+		compressPbfAsync: ( res ) => {
+			res.data = zlib.gzipSync( res.data );
+			res.headers[ 'Content-Encoding' ] = 'gzip';
+			return Promise.resolve( res );
+		}
+	}, overrides );
+}
+
+/**
+ * Make a function that creates the protocol instances with the given default uri.
+ * The function takes the query params to add to the defaults, and withSource === false
+ * to remove the default source param.
+ *
+ * @param {Function} Protocol protocol constructor, e.g. MemCache
+ * @param {Object} uri default uri, e.g. { protocol: 'memcache:', query: { source: 'a' } }
+ * @return {function(Object=, boolean=): Promise}
+ */
+function sourceFactory( Protocol, uri ) {
+	const newSource = Promise.promisify( ( u, cb ) => new Protocol( u, cb ) );
+	return ( query, withSource ) => {
+		const defaults = Object.assign( {}, uri.query );
+		if ( withSource === false ) {
+			delete defaults.source;
+		}
+		return newSource( Object.assign( {}, uri, { query: Object.assign( defaults, query ) } ) );
+	};
+}
+
+module.exports = { makeCore, sourceFactory };
@@ -0,0 +1,60 @@
+'use strict';
+
+const express = require( 'express' );
+const Promise = require( 'bluebird' );
+const Err = require( '../../lib/err' );
+const Deadline = require( '../../lib/deadline' );
+
+/**
+ * Stub of the core for the tests of the request handlers in lib/server
+ *
+ * @param {Object} [overrides] core members used by the tested handlers, e.g. getPublicSource
+ * @return {Object}
+ */
+function makeCore( overrides ) {
+	return Object.assign( {
+		Sources: { sourceIdReStr: '[A-Za-z][-A-Za-z0-9_]*' },
+		Deadline,
+		getConfiguration: () => ( { timeouts: { tiles: 1000 } } ),
+		validateZoom: ( z ) => +z,
+		validateScale: ( scale ) => scale,
+		uncompressAsync: ( data ) => Promise.resolve( data ),
+		setResponseHeaders: ( res, source, headers, negotiated ) => {
+			if ( headers ) {
+				res.set( headers );
+			}
+			if ( negotiated ) {
+				res.vary( 'Accept' );
+			}
+		},
+		reportRequestError: ( err, res ) => {
+			const problem = Err.toProblem( err );
+			res.status( problem.status ).type( 'application/problem+json' ).json( problem );
+		},
+		areMetricsValid: ( metrics ) => typeof metrics === 'string',
+		log: () => {},
+		errToStr: ( err ) => err.message,
+		metrics: { endTiming: () => {}, increment: () => {} }
+	}, overrides );
+}
+
+/**
+ * Serve the router on a free local port
+ *
+ * @param {Object} router express router with the tested handlers
+ * @param {Function[]} [middleware] handlers to run before the router, e.g. the body parser
+ * @return {Promise<{uri: string, close: function(): Promise}>}
+ */
+function start( router, middleware ) {
+	const app = express();
+	( middleware || [] ).forEach( ( handler ) => app.use( handler ) );
+	app.use( '/', router );
+	return new Promise( ( resolve ) => {
+		const server = app.listen( 0, 'localhost', () => resolve( {
+			uri: `http://localhost:${server.address().port}`,
+			close: () => new Promise( ( done ) => server.close( done ) )
+		} ) );
+	} );
+}
+
+module.exports = { makeCore, start };